@@ -0,0 +1,185 @@
+// Preaching categories and the extra report fields each one defines.
+//
+// A document in `preachingCategories` has:
+//   categoryName - the activity name shown on the form, dashboard and exports
+//   color        - #rrggbb, used for the category on the dashboard and pie chart
+//   archived     - archived categories can't be chosen for new reports, but
+//                  their reports are still shown and counted
+//   fields       - extra fields asked on the report form, in order:
+//                  { key, label, type, unit, summed }
+//                  type is one of FIELD_TYPES; unit ('lamps', 'kg') and summed
+//                  (totalled in statistics, exports and targets) apply to
+//                  number fields only
+//
+// Reports keep their values in a `fields` map by field key. A key is made from
+// the label when the field is added and never changes, so renaming a field
+// keeps the values already recorded.
+
+export const FIELD_TYPES = {
+    number: 'Number',
+    text: 'Text',
+    boolean: 'Yes / No'
+};
+
+export const DEFAULT_CATEGORY_COLOR = '#FF9933';
+
+// Category colors are stored as #RRGGBB, the only form put into style attributes
+export function isCategoryColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+export const MAX_CATEGORY_FIELDS = 10;
+
+const MAX_NAME_LENGTH = 60;
+const MAX_LABEL_LENGTH = 40;
+const MAX_UNIT_LENGTH = 20;
+const MAX_TEXT_LENGTH = 500;
+
+// Get the display name of a preaching category
+export function getCategoryName(category) {
+    return category?.categoryName || category?.name || 'Unknown Activity';
+}
+
+export function getCategoryFields(category) {
+    return Array.isArray(category?.fields) ? category.fields : [];
+}
+
+// Make a field key from its label, e.g. 'Lamps Offered' -> 'lampsOffered',
+// numbered when another field of the category already has it
+export function makeFieldKey(label, takenKeys = []) {
+    const words = String(label).toLowerCase().match(/[a-z0-9]+/g) || ['field'];
+    let base = words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+    if (/^[0-9]/.test(base)) {
+        base = `field${base}`;
+    }
+    let key = base;
+    for (let n = 2; takenKeys.includes(key); n++) {
+        key = `${base}${n}`;
+    }
+    return key;
+}
+
+// Check category form input and normalize it to the preachingCategories shape.
+// categories: every category by ID, to keep names unique.
+// categoryId: the category being edited, whose field keys are kept.
+export function normalizeCategory(data, categories = {}, categoryId = null) {
+    const categoryName = (data?.categoryName || '').trim();
+    if (!categoryName) {
+        throw new Error('Category name is required');
+    }
+    if (categoryName.length > MAX_NAME_LENGTH) {
+        throw new Error(`Category name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    const nameTaken = Object.entries(categories).some(([id, category]) =>
+        id !== categoryId && getCategoryName(category).toLowerCase() === categoryName.toLowerCase()
+    );
+    if (nameTaken) {
+        throw new Error(`There is already a category called ${categoryName}`);
+    }
+
+    if (data.color && !isCategoryColor(data.color)) {
+        throw new Error('Color must be a hex code such as #FF9933');
+    }
+    const color = data.color ? data.color.toUpperCase() : DEFAULT_CATEGORY_COLOR;
+
+    const fieldsData = data.fields || [];
+    if (fieldsData.length > MAX_CATEGORY_FIELDS) {
+        throw new Error(`A category can have at most ${MAX_CATEGORY_FIELDS} extra fields`);
+    }
+    const savedKeys = getCategoryFields(categories[categoryId]).map(field => field.key);
+    const keys = [];
+    const labels = [];
+    const fields = fieldsData.map(fieldData => {
+        const label = (fieldData.label || '').trim();
+        if (!label) {
+            throw new Error('Every extra field needs a label');
+        }
+        if (label.length > MAX_LABEL_LENGTH) {
+            throw new Error(`Field labels must be at most ${MAX_LABEL_LENGTH} characters`);
+        }
+        if (labels.includes(label.toLowerCase())) {
+            throw new Error(`There are two fields called ${label}`);
+        }
+        labels.push(label.toLowerCase());
+        if (!FIELD_TYPES[fieldData.type]) {
+            throw new Error(`Please choose a type for ${label}`);
+        }
+
+        const key = savedKeys.includes(fieldData.key) && !keys.includes(fieldData.key)
+            ? fieldData.key
+            : makeFieldKey(label, [...savedKeys, ...keys]);
+        keys.push(key);
+
+        const isNumber = fieldData.type === 'number';
+        const unit = isNumber ? (fieldData.unit || '').trim() : '';
+        if (unit.length > MAX_UNIT_LENGTH) {
+            throw new Error(`Units must be at most ${MAX_UNIT_LENGTH} characters`);
+        }
+        return { key, label, type: fieldData.type, unit, summed: isNumber && fieldData.summed === true };
+    });
+
+    return { categoryName, color, fields };
+}
+
+// Check a report's values for its category's fields and return the `fields`
+// map to save. Blank numbers are saved as 0; blank text and unticked boxes are
+// left out. Values for fields the category doesn't have are dropped.
+export function normalizeReportFields(category, values = {}) {
+    const fields = {};
+    getCategoryFields(category).forEach(field => {
+        const value = values?.[field.key];
+        if (field.type === 'number') {
+            const number = value === undefined || value === null || value === '' ? 0 : Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                throw new Error(`${field.label} must be a number of 0 or more`);
+            }
+            fields[field.key] = number;
+        } else if (field.type === 'boolean') {
+            if (value === true || value === 'true') {
+                fields[field.key] = true;
+            }
+        } else {
+            const text = String(value ?? '').trim();
+            if (text.length > MAX_TEXT_LENGTH) {
+                throw new Error(`${field.label} must be at most ${MAX_TEXT_LENGTH} characters`);
+            }
+            if (text) {
+                fields[field.key] = text;
+            }
+        }
+    });
+    return fields;
+}
+
+export function getReportFieldValue(report, field) {
+    return report?.fields?.[field.key];
+}
+
+// A field value as text for tables and exports, e.g. '12 lamps' or 'Yes'.
+// Empty when the report has no value for the field.
+export function formatFieldValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    if (field.type === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+    if (field.type === 'number') {
+        return `${Number(value).toLocaleString()}${field.unit ? ` ${field.unit}` : ''}`;
+    }
+    return String(value);
+}
+
+// The fields of several categories with one entry per key, in category order,
+// e.g. for the columns of an export covering reports of different activities
+export function collectFields(categories) {
+    const fields = new Map();
+    categories.forEach(category => {
+        getCategoryFields(category).forEach(field => {
+            if (!fields.has(field.key)) {
+                fields.set(field.key, field);
+            }
+        });
+    });
+    return [...fields.values()];
+}
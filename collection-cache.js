@@ -0,0 +1,307 @@
+// Cached copies of the collections the portal reads whole: activity reports,
+// users and preaching categories.
+//
+// Each collection has its own freshness time (ttl). Copies are kept in memory
+// and in IndexedDB, so a reload starts from the last copy instead of reading
+// every document again. When a copy is older than its ttl, only documents whose
+// `updatedField` moved since the last sync are read. Deletions made elsewhere
+// don't show up in that query, so the whole collection is read again every
+// `fullSyncInterval`.
+//
+// After a write, firebase-data.js marks the documents it changed; they are read
+// again on the next access whatever their age. Copies are kept per signed-in
+// user, because what a user may read depends on their role, and all of them
+// are cleared when the user logs out (clearCollectionCache).
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    Timestamp
+} from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Per-collection settings:
+//   ttl              - how long a copy is used without checking for changes
+//   updatedField     - field set on every write, for reading only what changed;
+//                      without it the whole collection is read each time
+//   updatedFieldType - 'timestamp' for serverTimestamp() values, 'isoString'
+//                      for client-side new Date().toISOString() values
+//   clockSkew        - for isoString fields, how far back to look to allow for
+//                      other devices' clocks being behind
+//   fullSyncInterval - how often to read everything, to drop deleted documents
+export const COLLECTION_CACHE_SETTINGS = {
+    activityReports: {
+        ttl: 5 * MINUTE,
+        updatedField: 'updatedAt',
+        updatedFieldType: 'timestamp',
+        fullSyncInterval: 6 * HOUR
+    },
+    users: {
+        ttl: 10 * MINUTE,
+        updatedField: 'updatedAt',
+        updatedFieldType: 'isoString',
+        clockSkew: 10 * MINUTE,
+        fullSyncInterval: 24 * HOUR
+    },
+    preachingCategories: {
+        ttl: HOUR
+    }
+};
+
+const DB_NAME = 'preachers-portal-cache';
+const DB_VERSION = 1;
+const STORE = 'collections';
+
+// Loaded copies by key, and the sync running for each
+const entries = new Map();
+const syncs = new Map();
+let dbPromise = null;
+
+function settingsFor(name) {
+    const settings = COLLECTION_CACHE_SETTINGS[name];
+    if (!settings) {
+        throw new Error(`No cache settings for collection: ${name}`);
+    }
+    return settings;
+}
+
+function entryKey(name) {
+    return `${auth.currentUser?.uid || 'anonymous'}:${name}`;
+}
+
+function openCacheDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Run one request against the store and resolve with its result
+async function withStore(mode, makeRequest) {
+    const database = await openCacheDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE, mode);
+        const request = makeRequest(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// IndexedDB keeps a Timestamp's fields but not its class, so they are stored
+// tagged and turned back into Timestamps when read
+function encodeValue(value) {
+    if (value instanceof Timestamp) {
+        return { __timestamp: [value.seconds, value.nanoseconds] };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+    }
+    return value;
+}
+
+function reviveValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(reviveValue);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        if (Array.isArray(value.__timestamp)) {
+            return new Timestamp(value.__timestamp[0], value.__timestamp[1]);
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveValue(item)]));
+    }
+    return value;
+}
+
+async function loadEntry(name) {
+    const key = entryKey(name);
+    if (entries.has(key)) {
+        return entries.get(key);
+    }
+
+    let entry = { key, docs: null, watermark: null, checkedAt: 0, fullSyncAt: 0, dirty: new Set() };
+    try {
+        const stored = await withStore('readonly', store => store.get(key));
+        if (stored) {
+            entry = { ...stored, docs: reviveValue(stored.docs), dirty: new Set(stored.dirty) };
+        }
+    } catch (error) {
+        console.warn(`Could not read cached ${name}:`, error);
+    }
+    // Another call may have loaded it while this one waited
+    if (!entries.has(key)) {
+        entries.set(key, entry);
+    }
+    return entries.get(key);
+}
+
+async function saveEntry(entry) {
+    try {
+        await withStore('readwrite', store => store.put({
+            ...entry,
+            docs: encodeValue(entry.docs),
+            dirty: [...entry.dirty]
+        }));
+    } catch (error) {
+        console.warn(`Could not save cached ${entry.key}:`, error);
+    }
+}
+
+// A document's updatedField in ms, or null when missing or of another type
+function readVersion(value, type) {
+    if (type === 'timestamp') {
+        return value instanceof Timestamp ? value.toMillis() : null;
+    }
+    const millis = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(millis) ? null : millis;
+}
+
+function latestVersion(docs, settings, current = null) {
+    let latest = current;
+    Object.values(docs).forEach(data => {
+        const version = readVersion(data[settings.updatedField], settings.updatedFieldType);
+        if (version !== null && (latest === null || version > latest)) {
+            latest = version;
+        }
+    });
+    return latest;
+}
+
+function changedSinceQuery(name, entry, settings) {
+    const since = entry.watermark - (settings.clockSkew || 0);
+    const value = settings.updatedFieldType === 'timestamp'
+        ? Timestamp.fromMillis(since)
+        : new Date(since).toISOString();
+    return query(collection(db, name), where(settings.updatedField, '>=', value));
+}
+
+function needsSync(entry, settings) {
+    return !entry.docs || entry.dirty.size > 0 || Date.now() - entry.checkedAt >= settings.ttl;
+}
+
+async function syncCollection(name, entry) {
+    const settings = settingsFor(name);
+    const startedAt = Date.now();
+    const dirty = [...entry.dirty];
+    const fullSync = !entry.docs || !settings.updatedField || entry.watermark === null ||
+        startedAt - entry.fullSyncAt >= settings.fullSyncInterval;
+
+    try {
+        const snapshot = await getDocs(fullSync ? collection(db, name) : changedSinceQuery(name, entry, settings));
+        // Offline, Firestore answers from its own partial cache; keep ours instead
+        if (snapshot.metadata.fromCache && entry.docs) {
+            return entry.docs;
+        }
+
+        const changed = {};
+        snapshot.forEach(docSnap => {
+            changed[docSnap.id] = docSnap.data();
+        });
+
+        if (fullSync) {
+            entry.docs = changed;
+            entry.fullSyncAt = startedAt;
+            entry.watermark = settings.updatedField ? latestVersion(changed, settings) : null;
+        } else {
+            // Marked documents the query didn't return were deleted, or written
+            // without moving updatedField
+            await Promise.all(dirty.filter(id => !(id in changed)).map(async id => {
+                const docSnap = await getDoc(doc(db, name, id));
+                if (docSnap.exists()) {
+                    changed[docSnap.id] = docSnap.data();
+                } else {
+                    delete entry.docs[id];
+                }
+            }));
+            Object.assign(entry.docs, changed);
+            entry.watermark = latestVersion(changed, settings, entry.watermark);
+        }
+
+        // Documents marked while this sync ran stay marked for the next one
+        dirty.forEach(id => entry.dirty.delete(id));
+        entry.checkedAt = startedAt;
+        await saveEntry(entry);
+        return entry.docs;
+    } catch (error) {
+        if (entry.docs) {
+            console.warn(`Could not refresh ${name}; using the cached copy:`, error);
+            return entry.docs;
+        }
+        throw error;
+    }
+}
+
+// Every document of a collection as { [id]: data }, read from the cache when
+// it is fresh enough. The returned object is shared; don't modify it.
+export async function getCachedCollection(name) {
+    const settings = settingsFor(name);
+    const entry = await loadEntry(name);
+    if (!needsSync(entry, settings)) {
+        return entry.docs;
+    }
+    if (!syncs.has(entry.key)) {
+        syncs.set(entry.key, syncCollection(name, entry).finally(() => syncs.delete(entry.key)));
+    }
+    return syncs.get(entry.key);
+}
+
+// Read these documents again on the next access, after they were written
+export async function invalidateCachedDocuments(name, ids) {
+    const entry = await loadEntry(name);
+    ids.forEach(id => entry.dirty.add(id));
+    await saveEntry(entry);
+}
+
+// Drop documents that were just deleted
+export async function removeCachedDocuments(name, ids) {
+    const entry = await loadEntry(name);
+    if (entry.docs) {
+        ids.forEach(id => delete entry.docs[id]);
+    }
+    ids.forEach(id => entry.dirty.delete(id));
+    await saveEntry(entry);
+}
+
+// Put documents read elsewhere (e.g. by a real-time listener) into the cache.
+// docs: { [id]: data }
+export async function updateCachedDocuments(name, docs) {
+    const entry = await loadEntry(name);
+    if (!entry.docs) {
+        return;
+    }
+    Object.assign(entry.docs, docs);
+    await saveEntry(entry);
+}
+
+// Check a collection for changes on its next access, whatever its age
+export async function expireCachedCollection(name) {
+    const entry = await loadEntry(name);
+    entry.checkedAt = 0;
+    await saveEntry(entry);
+}
+
+// Forget every cached collection, in memory and in IndexedDB
+export async function clearCollectionCache() {
+    entries.clear();
+    try {
+        await withStore('readwrite', store => store.clear());
+    } catch (error) {
+        console.warn('Could not clear the collection cache:', error);
+    }
+}
@@ -0,0 +1,199 @@
+// Precomputed impact aggregates for the homepage counters and charts.
+//
+// Each activity report write is rolled up into a few small documents in the
+// `impactAggregates` collection by the rollUpActivityReport Cloud Function
+// (functions/index.js); the portal only reads them. How a report counts, and
+// which documents it rolls up into, lives in functions/impact-rollup.js so the
+// function and the portal share it. Admins can rebuild every aggregate from
+// the reports here.
+//
+// Functions take the Firestore instance as a parameter so they can be run
+// against the Firestore emulator as well as the live project.
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    writeBatch,
+    onSnapshot,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
+import { AGGREGATES_COLLECTION, buildAggregatesFromReports } from './functions/impact-rollup.js';
+
+export {
+    AGGREGATES_COLLECTION,
+    AGGREGATE_METRICS,
+    getReportContribution,
+    getAggregateTargets,
+    buildAggregatesFromReports
+} from './functions/impact-rollup.js';
+
+// Time bucket sizes supported by the trend chart
+export const TREND_GRANULARITIES = ['day', 'week', 'month', 'year'];
+
+// Recompute every aggregate document from scratch from the activity reports.
+// Use once to seed the collection, or to repair drift.
+export async function rebuildImpactAggregates(db, users = {}) {
+    const [reportsSnapshot, aggregatesSnapshot] = await Promise.all([
+        getDocs(collection(db, 'activityReports')),
+        getDocs(collection(db, AGGREGATES_COLLECTION))
+    ]);
+
+    const totals = buildAggregatesFromReports(reportsSnapshot.docs.map(reportDoc => reportDoc.data()), users);
+
+    // Stale aggregate documents (e.g. a temple with no reports left) are removed
+    const writes = [];
+    aggregatesSnapshot.forEach(aggregateDoc => {
+        if (!totals[aggregateDoc.id]) {
+            writes.push(batch => batch.delete(aggregateDoc.ref));
+        }
+    });
+    Object.entries(totals).forEach(([id, data]) => {
+        writes.push(batch => batch.set(doc(db, AGGREGATES_COLLECTION, id), {
+            ...data,
+            updatedAt: serverTimestamp()
+        }));
+    });
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < writes.length; i += 500) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 500).forEach(write => write(batch));
+        await batch.commit();
+    }
+
+    return Object.keys(totals).length;
+}
+
+// Read the network-wide totals document, or null if aggregates have not been built
+export async function fetchAggregateTotals(db) {
+    const snapshot = await getDoc(doc(db, AGGREGATES_COLLECTION, 'totals'));
+    return snapshot.exists() ? snapshot.data() : null;
+}
+
+// Read all aggregate documents of one scope ('total', 'day', 'temple', 'category',
+// 'dayTemple', 'dayCategory' or 'dayTempleCategory').
+// filters narrows the per-day scopes: { temple, categoryId, startDay } where startDay is YYYY-MM-DD.
+export async function fetchAggregatesByScope(db, scope, filters = {}) {
+    const constraints = [where('scope', '==', scope)];
+    if (filters.temple) {
+        constraints.push(where('temple', '==', filters.temple));
+    }
+    if (filters.categoryId) {
+        constraints.push(where('categoryId', '==', filters.categoryId));
+    }
+    if (filters.startDay) {
+        constraints.push(where('key', '>=', filters.startDay));
+    }
+
+    const querySnapshot = await getDocs(query(collection(db, AGGREGATES_COLLECTION), ...constraints));
+    return querySnapshot.docs.map(aggregateDoc => ({ id: aggregateDoc.id, ...aggregateDoc.data() }));
+}
+
+// Listen to the aggregate documents of some scopes. onChanges(changes) is
+// called with [{ type, aggregate }] for the documents added, modified or
+// removed since the last call; the first call lists every document.
+// Returns a function that stops listening.
+export function listenToAggregatesByScope(db, scopes, onChanges, onError = null) {
+    const aggregatesQuery = query(collection(db, AGGREGATES_COLLECTION), where('scope', 'in', scopes));
+    return onSnapshot(aggregatesQuery, querySnapshot => {
+        onChanges(querySnapshot.docChanges().map(change => ({
+            type: change.type,
+            aggregate: { id: change.doc.id, ...change.doc.data() }
+        })));
+    }, onError);
+}
+
+// Format a Date as YYYY-MM-DD in UTC
+function toDayKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Get the bucket a YYYY-MM-DD day falls into.
+// Weeks start on Monday and are labelled by that Monday's date.
+export function getTrendBucket(day, granularity) {
+    switch (granularity) {
+        case 'year':
+            return day.slice(0, 4);
+        case 'month':
+            return day.slice(0, 7);
+        case 'week': {
+            const date = new Date(`${day}T00:00:00Z`);
+            const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+            date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+            return toDayKey(date);
+        }
+        case 'day':
+        default:
+            return day;
+    }
+}
+
+// List every bucket between two days so the chart shows gaps as zero
+export function listTrendBuckets(startDay, endDay, granularity) {
+    const buckets = [];
+    const date = new Date(`${getTrendBucket(startDay, granularity === 'week' ? 'week' : 'day')}T00:00:00Z`);
+    const end = new Date(`${endDay}T00:00:00Z`);
+
+    while (date <= end) {
+        const bucket = getTrendBucket(toDayKey(date), granularity);
+        if (buckets[buckets.length - 1] !== bucket) {
+            buckets.push(bucket);
+        }
+        switch (granularity) {
+            case 'year':
+                date.setUTCFullYear(date.getUTCFullYear() + 1, 0, 1);
+                break;
+            case 'month':
+                date.setUTCMonth(date.getUTCMonth() + 1, 1);
+                break;
+            case 'week':
+                date.setUTCDate(date.getUTCDate() + 7);
+                break;
+            default:
+                date.setUTCDate(date.getUTCDate() + 1);
+        }
+    }
+    return buckets;
+}
+
+// Sum per-day aggregates into time buckets.
+// Returns { labels, books, prasadam, contacts, events } with one entry per bucket.
+export function bucketDayAggregates(dayAggregates, granularity = 'week', startDay = null, endDay = null) {
+    const days = dayAggregates
+        .map(aggregate => aggregate.key)
+        .filter(day => /^\d{4}-\d{2}-\d{2}$/.test(day))
+        .sort();
+
+    const trend = { labels: [], books: [], prasadam: [], contacts: [], events: [] };
+    const firstDay = startDay || days[0];
+    const lastDay = endDay || days[days.length - 1];
+    if (!firstDay || !lastDay) {
+        return trend;
+    }
+
+    trend.labels = listTrendBuckets(firstDay, lastDay, granularity);
+    const index = {};
+    trend.labels.forEach((label, i) => {
+        index[label] = i;
+        trend.books.push(0);
+        trend.prasadam.push(0);
+        trend.contacts.push(0);
+        trend.events.push(0);
+    });
+
+    dayAggregates.forEach(aggregate => {
+        const i = index[getTrendBucket(aggregate.key, granularity)];
+        if (i === undefined) {
+            return;
+        }
+        trend.books[i] += aggregate.books || 0;
+        trend.prasadam[i] += aggregate.prasadam || 0;
+        trend.contacts[i] += aggregate.contacts || 0;
+        trend.events[i] += aggregate.reports || 0;
+    });
+
+    return trend;
+}
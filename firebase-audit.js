@@ -0,0 +1,165 @@
+// Audit trail of uploads, deletions, role changes and report edits.
+//
+// Every such change also writes one entry to the `auditLog` collection:
+//   actorId, actorEmail   - who made the change
+//   action                - one of AUDIT_ACTIONS, e.g. 'report.update'
+//   targetType, targetId  - the record that was changed
+//   before, after         - snapshots of the record (null when it was created / deleted)
+//   createdAt             - server time of the change
+//
+// Entries are queued on the same batch as the change wherever possible, so a
+// change is never saved without its entry. The Firestore rules only let users
+// add entries as themselves and never allow them to be edited or deleted.
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    doc,
+    setDoc,
+    Timestamp,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
+
+export const AUDIT_COLLECTION = 'auditLog';
+
+export const AUDIT_LOG_PAGE_SIZE = 25;
+
+// Actions that are recorded, with the label the viewer shows
+export const AUDIT_ACTIONS = {
+    'report.create': 'Report submitted',
+    'report.update': 'Report edited',
+    'report.delete': 'Report deleted',
+    'report.import': 'Reports imported',
+    'report.rollbackImport': 'Report import rolled back',
+    'target.delete': 'Target deleted',
+    'category.create': 'Category created',
+    'category.update': 'Category edited',
+    'category.archive': 'Category archived',
+    'category.restore': 'Category restored',
+    'resource.upload': 'Resource uploaded',
+    'resource.version': 'New resource version',
+    'resource.update': 'Resource details edited',
+    'resource.delete': 'Resource moved to trash',
+    'resource.restore': 'Resource restored',
+    'resource.purge': 'Resource purged',
+    'gallery.upload': 'Image uploaded',
+    'gallery.delete': 'Image moved to trash',
+    'gallery.restore': 'Image restored',
+    'gallery.purge': 'Image purged',
+    'gallery.approve': 'Image approved',
+    'gallery.reject': 'Image rejected',
+    'gallery.caption': 'Image caption edited',
+    'album.delete': 'Album deleted',
+    'user.role': 'Role changed',
+    'user.temple': 'Temple assigned',
+    'user.deactivate': 'Account deactivated',
+    'user.reactivate': 'Account reactivated',
+    'user.invite': 'User invited',
+    'user.revokeInvite': 'Invitation revoked'
+};
+
+// Copy a record for the log. Document IDs are kept in targetId, and undefined
+// values are dropped because Firestore refuses them.
+function toSnapshot(record) {
+    if (!record) {
+        return null;
+    }
+    const snapshot = {};
+    Object.entries(record).forEach(([key, value]) => {
+        if (key !== 'id' && value !== undefined) {
+            snapshot[key] = value;
+        }
+    });
+    return snapshot;
+}
+
+function buildAuditEntry(actorId, action, target, before, after) {
+    if (!AUDIT_ACTIONS[action]) {
+        throw new Error(`Unknown audit action: ${action}`);
+    }
+    const uid = actorId || auth.currentUser?.uid;
+    if (!uid) {
+        throw new Error('Audit entries need an actor');
+    }
+    return {
+        actorId: uid,
+        actorEmail: auth.currentUser?.uid === uid ? auth.currentUser.email || null : null,
+        action,
+        targetType: target.type,
+        targetId: target.id,
+        before: toSnapshot(before),
+        after: toSnapshot(after),
+        createdAt: serverTimestamp()
+    };
+}
+
+// Add an audit entry to a write batch so it is committed with the change.
+// target: { type, id }, e.g. { type: 'activityReports', id: reportId }
+export function queueAuditEntry(batch, actorId, action, target, before = null, after = null) {
+    const entryRef = doc(collection(db, AUDIT_COLLECTION));
+    batch.set(entryRef, buildAuditEntry(actorId, action, target, before, after));
+    return entryRef;
+}
+
+// Write an audit entry on its own, for changes that are not batched
+export async function writeAuditEntry(actorId, action, target, before = null, after = null) {
+    const entryRef = doc(collection(db, AUDIT_COLLECTION));
+    await setDoc(entryRef, buildAuditEntry(actorId, action, target, before, after));
+    return entryRef.id;
+}
+
+// Fetch one page of audit entries, newest first (admins only).
+// filters: { action, actorId, targetType, startDate (Date), endDate (Date) }
+// Pass the cursor returned by the previous page to get the next one.
+export async function fetchAuditLog(filters = {}, cursor = null, pageSize = AUDIT_LOG_PAGE_SIZE) {
+    try {
+        const constraints = [];
+        if (filters.action) {
+            constraints.push(where('action', '==', filters.action));
+        }
+        if (filters.actorId) {
+            constraints.push(where('actorId', '==', filters.actorId));
+        }
+        if (filters.targetType) {
+            constraints.push(where('targetType', '==', filters.targetType));
+        }
+        if (filters.startDate) {
+            constraints.push(where('createdAt', '>=', Timestamp.fromDate(filters.startDate)));
+        }
+        if (filters.endDate) {
+            constraints.push(where('createdAt', '<=', Timestamp.fromDate(filters.endDate)));
+        }
+
+        const baseQuery = query(collection(db, AUDIT_COLLECTION), ...constraints, orderBy('createdAt', 'desc'));
+        // Fetch one extra entry to know whether another page follows
+        const pageQuery = cursor
+            ? query(baseQuery, startAfter(cursor), limit(pageSize + 1))
+            : query(baseQuery, limit(pageSize + 1));
+
+        const querySnapshot = await getDocs(pageQuery);
+        const docs = querySnapshot.docs.slice(0, pageSize);
+
+        return {
+            entries: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            cursor: docs.length > 0 ? docs[docs.length - 1] : cursor,
+            hasMore: querySnapshot.docs.length > pageSize
+        };
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        throw error;
+    }
+}
+
+// Fields whose value differs between the before and after snapshots
+export function getChangedFields(entry) {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+        .sort();
+}
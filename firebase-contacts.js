@@ -0,0 +1,644 @@
+// Contact follow-up operations: merges report contacts into one `contacts` collection
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    getDocs,
+    getDoc,
+    query,
+    where,
+    limit,
+    doc,
+    writeBatch,
+    updateDoc,
+    arrayUnion,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
+import { getUserProfile } from './firebase-data.js';
+import { hasPermission } from './roles.js';
+
+// Follow-up stages a contact moves through, in order
+export const CONTACT_STATUSES = [
+    { value: 'new', label: 'New' },
+    { value: 'called', label: 'Called' },
+    { value: 'attended_program', label: 'Attended Program' },
+    { value: 'congregation_member', label: 'Congregation Member' }
+];
+
+// Get a contact's name and phone whichever field the report used
+function readContactFields(contact) {
+    return {
+        name: (contact.name || contact.contactName || '').trim(),
+        phone: (contact.phone || contact.phoneNumber || contact.contactNumber || '').trim()
+    };
+}
+
+// Normalize a phone number so different ways of writing the same Malaysian
+// number match: "012-345 6789", "+60 12 345 6789", "60123456789" and
+// "0060123456789" all become "+60123456789". Other numbers keep their digits.
+export function normalizePhone(phone) {
+    let digits = String(phone || '').replace(/\D/g, '');
+    if (digits.startsWith('00')) {
+        // International dialling prefix
+        digits = digits.slice(2);
+    }
+    if (digits.startsWith('0')) {
+        // Local format (01x mobiles, 0x landlines)
+        digits = `60${digits.slice(1)}`;
+    } else if (/^1\d{8,9}$/.test(digits)) {
+        // Mobile number written without its leading 0
+        digits = `60${digits}`;
+    }
+    return digits ? `+${digits}` : '';
+}
+
+// Normalize a name for matching: case, accents, punctuation and spacing are ignored
+export function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Build the ID of the merged contact document a report contact belongs to.
+// Contacts with a phone number are merged on the normalized number, others on their name.
+export function getContactKey(contact) {
+    const { name, phone } = readContactFields(contact);
+    const normalizedPhone = normalizePhone(phone);
+    if (normalizedPhone) {
+        return `phone_${normalizedPhone.slice(1)}`;
+    }
+    const nameKey = normalizeName(name).replace(/ /g, '_');
+    return nameKey ? `name_${nameKey}` : null;
+}
+
+// Work out which contact document each report contact belongs to.
+// A contact without a phone number joins the one existing contact with the
+// same name, if there is exactly one; otherwise it is keyed on its name.
+async function resolveContactKeys(contacts) {
+    return Promise.all(contacts.map(async contact => {
+        if (contact.contactKey) {
+            return contact.contactKey;
+        }
+        const key = getContactKey(contact);
+        if (!key || !key.startsWith('name_')) {
+            return key;
+        }
+        const nameKey = normalizeName(readContactFields(contact).name);
+        const matches = await getDocs(query(collection(db, 'contacts'), where('nameKey', '==', nameKey), limit(2)));
+        return matches.size === 1 ? matches.docs[0].id : key;
+    }));
+}
+
+// The source that counts as the first meeting with a contact: the earliest
+// date, keeping the current first report on a tie so re-saving a report on the
+// same day does not move it
+function pickFirstSource(sources, currentReportId = null) {
+    return sources.reduce((first, source) => {
+        if (!first) {
+            return source;
+        }
+        const order = (source.date || '').localeCompare(first.date || '');
+        return order < 0 || (order === 0 && source.reportId === currentReportId) ? source : first;
+    }, null);
+}
+
+// First and last meeting with a contact met on the given sources
+function describeMeetings(sources, currentReportId = null) {
+    const days = sources.map(source => source.date).filter(Boolean).sort();
+    return {
+        firstSeenDate: days[0] || null,
+        lastSeenDate: days[days.length - 1] || null,
+        firstReportId: pickFirstSource(sources, currentReportId)?.reportId || null
+    };
+}
+
+// Whether a report saved with the given date is the first meeting with a
+// contact, counting the contact's other reports. When the report is edited its
+// own, older source is left out.
+function isFirstMeeting(data, reportId, reportDate) {
+    if (!data) {
+        return true;
+    }
+    const sources = [
+        ...(data.sources || []).filter(source => source.reportId !== reportId),
+        { reportId, date: reportDate }
+    ];
+    return pickFirstSource(sources, data.firstReportId)?.reportId === reportId;
+}
+
+// Tag each contact of a report with its contact key and whether this report is
+// the first time the person was met. Only first-seen contacts count towards
+// "Lives Touched", so meeting the same person again is not counted twice.
+export async function markFirstSeenContacts(contacts, reportId, reportDate) {
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+        return contacts || [];
+    }
+
+    const keys = await resolveContactKeys(contacts);
+    const uniqueKeys = [...new Set(keys.filter(Boolean))];
+    const snapshots = await Promise.all(uniqueKeys.map(key => getDoc(doc(db, 'contacts', key))));
+    const existing = {};
+    uniqueKeys.forEach((key, index) => {
+        existing[key] = snapshots[index].exists() ? snapshots[index].data() : null;
+    });
+
+    const seenInReport = new Set();
+    return contacts.map((contact, index) => {
+        const key = keys[index];
+        const data = key ? existing[key] : null;
+        let firstSeen = !seenInReport.has(key) && isFirstMeeting(data, reportId, reportDate);
+        if (!key) {
+            // No name or phone: cannot be matched, count it as met once
+            firstSeen = true;
+        }
+        seenInReport.add(key);
+        return { ...contact, contactKey: key, firstSeen };
+    });
+}
+
+// Build a history entry; stored as a plain object inside the history array
+function historyEntry(type, userId, details = {}) {
+    return {
+        type,
+        by: userId || null,
+        at: new Date().toISOString(),
+        ...details
+    };
+}
+
+// Drop repeated name/phone spellings
+function dedupeVariants(variants) {
+    const seen = new Set();
+    return variants.filter(variant => {
+        const id = `${variant.name}|${variant.phone}`;
+        if (seen.has(id)) {
+            return false;
+        }
+        seen.add(id);
+        return true;
+    });
+}
+
+// Whether two sources of a contact record the same meeting
+function sameSource(a, b) {
+    return a.date === b.date && a.preacherId === b.preacherId && a.categoryId === b.categoryId;
+}
+
+// Take a report out of one contact's sources on the batch, with its first and
+// last meeting worked out from the reports left. A contact met on no other
+// report is kept for its follow-up notes, with no first report.
+// Returns the first report before and after, or null if the report was not a source.
+function queueSourceRemoval(batch, snapshot, reportId, entry) {
+    const data = snapshot.data();
+    const sources = data.sources || [];
+    if (!sources.some(source => source.reportId === reportId)) {
+        return null;
+    }
+
+    const remaining = sources.filter(source => source.reportId !== reportId);
+    const meetings = describeMeetings(remaining, data.firstReportId);
+    batch.update(snapshot.ref, {
+        sources: remaining,
+        ...meetings,
+        history: arrayUnion(entry),
+        updatedAt: serverTimestamp()
+    });
+    return { from: data.firstReportId || null, to: meetings.firstReportId };
+}
+
+// Merge the contacts of a saved activity report into the contacts collection.
+// previous is the report before an edit: contacts taken off the report lose it
+// from their sources, and the others get its new date, so the first meeting
+// can move in either direction.
+// Returns [{ reportId, contactKey, firstSeen }] for other reports whose
+// first-seen marker has to change because the first meeting with someone
+// moved onto or off them. The saved report's own markers were already set by
+// markFirstSeenContacts().
+export async function syncReportContacts(report, previous = null, userId = null) {
+    const contacts = Array.isArray(report?.contacts) ? report.contacts : [];
+    const previousContacts = Array.isArray(previous?.contacts) ? previous.contacts : [];
+    if (contacts.length === 0 && previousContacts.length === 0) {
+        return [];
+    }
+
+    const actorId = userId || report.createdBy || null;
+    const reportDate = report.date || report.createdAt?.toDate?.()?.toISOString().split('T')[0] || null;
+    const source = {
+        reportId: report.id,
+        date: reportDate,
+        preacherId: report.createdBy || null,
+        categoryId: report.categoryId || null
+    };
+
+    // A report may list the same person twice; merge them before writing
+    const contactKeys = await resolveContactKeys(contacts);
+    const byKey = {};
+    contacts.forEach((contact, index) => {
+        const key = contactKeys[index];
+        if (!key) {
+            return;
+        }
+        if (!byKey[key]) {
+            byKey[key] = { ...readContactFields(contact), variants: [] };
+        }
+        const { name, phone } = readContactFields(contact);
+        byKey[key].variants.push({ name, phone });
+    });
+
+    const keys = Object.keys(byKey);
+    const removedKeys = [...new Set((await resolveContactKeys(previousContacts)).filter(Boolean))]
+        .filter(key => !byKey[key]);
+    const [existing, removed] = await Promise.all([
+        Promise.all(keys.map(key => getDoc(doc(db, 'contacts', key)))),
+        Promise.all(removedKeys.map(key => getDoc(doc(db, 'contacts', key))))
+    ]);
+
+    const moves = [];
+    const noteFirstMove = (contactKey, from, to) => {
+        if (from === to) {
+            return;
+        }
+        if (from && from !== report.id) {
+            moves.push({ reportId: from, contactKey, firstSeen: false });
+        }
+        if (to && to !== report.id) {
+            moves.push({ reportId: to, contactKey, firstSeen: true });
+        }
+    };
+
+    const batch = writeBatch(db);
+    let writes = 0;
+    keys.forEach((key, index) => {
+        const contactRef = doc(db, 'contacts', key);
+        const snapshot = existing[index];
+        const fields = byKey[key];
+
+        if (!snapshot.exists()) {
+            batch.set(contactRef, {
+                name: fields.name,
+                phone: fields.phone,
+                nameKey: normalizeName(fields.name),
+                normalizedPhone: normalizePhone(fields.phone),
+                // Every spelling of the name and phone seen for this person
+                variants: dedupeVariants(fields.variants),
+                temple: report.temple || null,
+                status: 'new',
+                // The preacher who met the contact follows up by default
+                assignedTo: report.createdBy || null,
+                notes: '',
+                firstSeenDate: reportDate,
+                lastSeenDate: reportDate,
+                firstReportId: report.id,
+                sources: [source],
+                history: [historyEntry('created', actorId, { reportId: report.id })],
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+            writes++;
+            return;
+        }
+
+        const data = snapshot.data();
+        const sources = data.sources || [];
+        const recorded = sources.find(existingSource => existingSource.reportId === report.id);
+        const updates = {};
+        if (!recorded || !sameSource(recorded, source)) {
+            const merged = recorded
+                ? sources.map(existingSource => existingSource.reportId === report.id ? source : existingSource)
+                : [...sources, source];
+            Object.assign(updates, { sources: merged, ...describeMeetings(merged, data.firstReportId) });
+            noteFirstMove(key, data.firstReportId || null, updates.firstReportId);
+        }
+        const newVariants = dedupeVariants(fields.variants).filter(variant =>
+            !(data.variants || []).some(known => known.name === variant.name && known.phone === variant.phone));
+        if (newVariants.length > 0) {
+            updates.variants = arrayUnion(...newVariants);
+        }
+        // Fill in a phone number or name the first report didn't have
+        if (!data.phone && fields.phone) {
+            updates.phone = fields.phone;
+            updates.normalizedPhone = normalizePhone(fields.phone);
+        }
+        if (!data.name && fields.name) {
+            updates.name = fields.name;
+            updates.nameKey = normalizeName(fields.name);
+        }
+        if (Object.keys(updates).length === 0) {
+            // Report edited without changing anything about this contact
+            return;
+        }
+
+        updates.history = arrayUnion(historyEntry(recorded ? 'report_edited' : 'seen_again', actorId, { reportId: report.id }));
+        updates.updatedAt = serverTimestamp();
+        batch.update(contactRef, updates);
+        writes++;
+    });
+
+    removedKeys.forEach((key, index) => {
+        const snapshot = removed[index];
+        if (!snapshot.exists()) {
+            return;
+        }
+        const change = queueSourceRemoval(batch, snapshot, report.id,
+            historyEntry('removed_from_report', actorId, { reportId: report.id }));
+        if (change) {
+            noteFirstMove(key, change.from, change.to);
+            writes++;
+        }
+    });
+
+    if (writes > 0) {
+        await batch.commit();
+    }
+    return moves;
+}
+
+// Take a report that is being deleted out of the contacts merged from it, on
+// the batch that deletes the report.
+// Returns [{ reportId, contactKey, firstSeen: true }] for contacts whose first
+// meeting moves to another report, which then has to be marked first seen so
+// "Lives Touched" still counts the person.
+export async function queueReportContactsRemoval(batch, report, userId) {
+    if (!report || !Array.isArray(report.contacts) || report.contacts.length === 0) {
+        return [];
+    }
+
+    const keys = [...new Set((await resolveContactKeys(report.contacts)).filter(Boolean))];
+    const snapshots = await Promise.all(keys.map(key => getDoc(doc(db, 'contacts', key))));
+    const moved = [];
+
+    keys.forEach((key, index) => {
+        const snapshot = snapshots[index];
+        if (!snapshot.exists()) {
+            return;
+        }
+        const change = queueSourceRemoval(batch, snapshot, report.id,
+            historyEntry('report_deleted', userId, { reportId: report.id }));
+        if (change && change.from === report.id && change.to) {
+            moved.push({ reportId: change.to, contactKey: key, firstSeen: true });
+        }
+    });
+
+    return moved;
+}
+
+// Merge the contacts of every activity report (one-off backfill). Run
+// markAllReportsFirstSeen() afterwards to set the first-seen markers.
+export async function syncAllReportContacts() {
+    const querySnapshot = await getDocs(collection(db, 'activityReports'));
+    let total = 0;
+    for (const reportDoc of querySnapshot.docs) {
+        const report = { id: reportDoc.id, ...reportDoc.data() };
+        await syncReportContacts(report);
+        total += (report.contacts || []).length;
+    }
+    console.log(`Synced ${total} contacts from ${querySnapshot.size} reports`);
+    return total;
+}
+
+// Commit a list of queued writes in batches (Firestore allows 500 writes per batch)
+async function commitInBatches(writes) {
+    for (let i = 0; i < writes.length; i += 500) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 500).forEach(write => write(batch));
+        await batch.commit();
+    }
+}
+
+// Recompute the contact keys and first-seen markers on every activity report,
+// walking the reports in date order (one-off backfill). Rebuild the impact
+// aggregates afterwards so "Lives Touched" counts unique people.
+export async function markAllReportsFirstSeen() {
+    const querySnapshot = await getDocs(collection(db, 'activityReports'));
+    const reports = querySnapshot.docs
+        .map(reportDoc => ({ id: reportDoc.id, ...reportDoc.data() }))
+        .filter(report => Array.isArray(report.contacts) && report.contacts.length > 0)
+        .sort((a, b) => {
+            const dayOrder = (a.date || '').localeCompare(b.date || '');
+            return dayOrder !== 0 ? dayOrder : (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0);
+        });
+
+    const seenKeys = new Set();
+    // Name -> contact keys seen with that name, so phone-less contacts can join a unique match
+    const keysByName = {};
+    const writes = [];
+    let firstSeenCount = 0;
+
+    reports.forEach(report => {
+        const contacts = report.contacts.map(contact => {
+            const { name } = readContactFields(contact);
+            const nameKey = normalizeName(name);
+            let key = getContactKey(contact);
+            if (key && key.startsWith('name_') && keysByName[nameKey]?.size === 1) {
+                key = [...keysByName[nameKey]][0];
+            }
+            if (key && nameKey) {
+                keysByName[nameKey] = keysByName[nameKey] || new Set();
+                keysByName[nameKey].add(key);
+            }
+
+            const firstSeen = !key || !seenKeys.has(key);
+            if (key) {
+                seenKeys.add(key);
+            }
+            if (firstSeen) {
+                firstSeenCount++;
+            }
+            return { ...contact, contactKey: key, firstSeen };
+        });
+
+        const changed = contacts.some((contact, index) =>
+            contact.contactKey !== report.contacts[index].contactKey ||
+            contact.firstSeen !== report.contacts[index].firstSeen
+        );
+        if (changed) {
+            writes.push(batch => batch.update(doc(db, 'activityReports', report.id), { contacts, updatedAt: serverTimestamp() }));
+        }
+    });
+
+    await commitInBatches(writes);
+    console.log(`Marked ${firstSeenCount} unique people across ${reports.length} reports (${writes.length} reports updated)`);
+    return { reports: reports.length, updated: writes.length, uniquePeople: firstSeenCount };
+}
+
+// Merge contact documents that turn out to be the same person, e.g. ones
+// created before phone numbers were normalized. The merged document keeps the
+// most advanced follow-up status, and `mergedFrom` records the documents folded into it.
+export async function mergeDuplicateContacts(userId = null) {
+    const actorId = userId || auth.currentUser?.uid;
+    if (!actorId) {
+        throw new Error('Please log in first');
+    }
+    // Merging deletes the duplicate contact documents
+    if (!hasPermission(await getUserProfile(actorId), 'contacts.delete')) {
+        throw new Error('Only admins can merge duplicate contacts');
+    }
+
+    const querySnapshot = await getDocs(collection(db, 'contacts'));
+    const groups = {};
+    querySnapshot.docs.forEach(contactDoc => {
+        const data = contactDoc.data();
+        const key = getContactKey(data) || contactDoc.id;
+        groups[key] = groups[key] || [];
+        groups[key].push({ id: contactDoc.id, ...data });
+    });
+
+    const statusRank = status => CONTACT_STATUSES.findIndex(option => option.value === status);
+    const writes = [];
+    let merged = 0;
+
+    Object.entries(groups).forEach(([key, contacts]) => {
+        if (contacts.length === 1 && contacts[0].id === key) {
+            return;
+        }
+
+        // The contact met first leads; the others are folded into it
+        contacts.sort((a, b) => (a.firstSeenDate || '').localeCompare(b.firstSeenDate || ''));
+        const [first] = contacts;
+        const firstData = { ...first };
+        delete firstData.id;
+        const sources = [];
+        const reportIds = new Set();
+        contacts.flatMap(contact => contact.sources || []).forEach(source => {
+            if (!reportIds.has(source.reportId)) {
+                reportIds.add(source.reportId);
+                sources.push(source);
+            }
+        });
+        const mergedFrom = contacts.map(contact => contact.id).filter(id => id !== key);
+        const lastSeenDate = contacts.map(contact => contact.lastSeenDate || '').sort().pop() || null;
+
+        writes.push(batch => batch.set(doc(db, 'contacts', key), {
+            ...firstData,
+            name: first.name || contacts.find(contact => contact.name)?.name || '',
+            phone: first.phone || contacts.find(contact => contact.phone)?.phone || '',
+            nameKey: normalizeName(first.name),
+            normalizedPhone: normalizePhone(first.phone),
+            status: contacts.reduce((best, contact) =>
+                statusRank(contact.status) > statusRank(best) ? contact.status : best, first.status || 'new'),
+            assignedTo: first.assignedTo || contacts.find(contact => contact.assignedTo)?.assignedTo || null,
+            notes: contacts.map(contact => contact.notes).filter(Boolean).join('\n\n'),
+            variants: dedupeVariants(contacts.flatMap(contact =>
+                contact.variants || [{ name: contact.name || '', phone: contact.phone || '' }])),
+            lastSeenDate,
+            sources,
+            // The kept document's history stays first: history is only ever added to
+            history: [
+                ...(contacts.find(contact => contact.id === key)?.history || []),
+                ...contacts.filter(contact => contact.id !== key).flatMap(contact => contact.history || []),
+                historyEntry('merged', actorId, { mergedFrom })
+            ],
+            mergedFrom: [...new Set([...(first.mergedFrom || []), ...mergedFrom])],
+            updatedAt: serverTimestamp()
+        }));
+        contacts.filter(contact => contact.id !== key).forEach(contact => {
+            writes.push(batch => batch.delete(doc(db, 'contacts', contact.id)));
+        });
+        merged += mergedFrom.length;
+    });
+
+    await commitInBatches(writes);
+    console.log(`Merged ${merged} duplicate contact documents`);
+    return merged;
+}
+
+// Fetch contacts that were merged from more than one spelling of the name or
+// phone number, for reviewing suspected duplicates
+export async function fetchMergedDuplicates() {
+    const contacts = await fetchContacts();
+    return contacts.filter(contact =>
+        (contact.variants || []).length > 1 || (contact.mergedFrom || []).length > 0
+    );
+}
+
+// Fetch contacts for the follow-up queue.
+// filters: { status, assignedTo }
+export async function fetchContacts(filters = {}) {
+    try {
+        const constraints = [];
+        if (filters.status) {
+            constraints.push(where('status', '==', filters.status));
+        }
+        if (filters.assignedTo) {
+            constraints.push(where('assignedTo', '==', filters.assignedTo));
+        }
+
+        const querySnapshot = await getDocs(query(collection(db, 'contacts'), ...constraints));
+        const contacts = querySnapshot.docs.map(contactDoc => ({ id: contactDoc.id, ...contactDoc.data() }));
+
+        // Oldest follow-ups first so nobody waits too long
+        contacts.sort((a, b) => (a.lastSeenDate || '').localeCompare(b.lastSeenDate || ''));
+        return contacts;
+    } catch (error) {
+        console.error('Error fetching contacts:', error);
+        return [];
+    }
+}
+
+// Whether a user may follow up a contact: the assigned preacher, the
+// coordinator of the contact's temple, or an admin
+export function canFollowUpContact(actor, contact) {
+    return hasPermission(actor, 'contacts.manage', contact);
+}
+
+// Fetch a contact and check the user may follow it up, before changing it
+async function requireFollowUp(contactId, userId) {
+    const uid = userId || auth.currentUser?.uid;
+    if (!uid) {
+        throw new Error('Please log in first');
+    }
+    const [actor, snapshot] = await Promise.all([
+        getUserProfile(uid),
+        getDoc(doc(db, 'contacts', contactId))
+    ]);
+    if (!snapshot.exists()) {
+        throw new Error('Contact not found');
+    }
+    if (!canFollowUpContact(actor, snapshot.data())) {
+        throw new Error('Only the assigned preacher, their temple coordinator or an admin can follow up this contact');
+    }
+    return uid;
+}
+
+// Move a contact to a new follow-up status
+export async function updateContactStatus(contactId, status, userId) {
+    if (!CONTACT_STATUSES.some(option => option.value === status)) {
+        throw new Error(`Unknown contact status: ${status}`);
+    }
+    await requireFollowUp(contactId, userId);
+
+    await updateDoc(doc(db, 'contacts', contactId), {
+        status,
+        history: arrayUnion(historyEntry('status_changed', userId, { status })),
+        updatedAt: serverTimestamp()
+    });
+    console.log(`Contact ${contactId} status -> ${status}`);
+    return true;
+}
+
+// Assign a contact to a preacher for follow-up
+export async function assignContact(contactId, preacherId, userId) {
+    await requireFollowUp(contactId, userId);
+    await updateDoc(doc(db, 'contacts', contactId), {
+        assignedTo: preacherId || null,
+        history: arrayUnion(historyEntry('assigned', userId, { assignedTo: preacherId || null })),
+        updatedAt: serverTimestamp()
+    });
+    console.log(`Contact ${contactId} assigned to ${preacherId}`);
+    return true;
+}
+
+// Replace a contact's notes and record the note in its history
+export async function updateContactNotes(contactId, notes, userId) {
+    const text = (notes || '').trim();
+    await requireFollowUp(contactId, userId);
+    await updateDoc(doc(db, 'contacts', contactId), {
+        notes: text,
+        history: arrayUnion(historyEntry('note', userId, { note: text })),
+        updatedAt: serverTimestamp()
+    });
+    return true;
+}
@@ -1,5 +1,5 @@
 // Firebase data operations for Preaching Impact and Dashboard
-import { db, storage } from './firebase-config.js';
+import { auth, db, storage } from './firebase-config.js';
 import { 
     collection, 
     getDocs, 
@@ -7,58 +7,67 @@ import {
     orderBy, 
     limit, 
     where,
+    startAfter,
+    getCountFromServer,
+    writeBatch,
+    Timestamp,
     onSnapshot,
     doc,
     getDoc,
     addDoc,
+    updateDoc,
     deleteDoc,
+    deleteField,
+    documentId,
+    increment,
     serverTimestamp
 } from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
 import {
     ref,
     uploadBytes,
+    uploadBytesResumable,
     getDownloadURL,
     deleteObject
 } from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-storage.js';
-
-// Cache for data to avoid repeated fetches
-let dataCache = {
-    activityReports: null,
-    preachingCategories: null,
-    users: null,
-    lastFetch: null
-};
-
-// Cache duration in milliseconds (5 minutes)
-const CACHE_DURATION = 5 * 60 * 1000;
-
-// Check if cache is valid
-function isCacheValid() {
-    return dataCache.lastFetch && (Date.now() - dataCache.lastFetch) < CACHE_DURATION;
-}
-
-// Fetch all activity reports
+import {
+    buildAggregatesFromReports,
+    rebuildImpactAggregates as rebuildAggregates,
+    fetchAggregateTotals,
+    fetchAggregatesByScope,
+    bucketDayAggregates,
+    listenToAggregatesByScope,
+    TREND_GRANULARITIES
+} from './firebase-aggregates.js';
+import { syncReportContacts, markFirstSeenContacts, queueReportContactsRemoval } from './firebase-contacts.js';
+import { queueAuditEntry } from './firebase-audit.js';
+import { queueDownloadEvent, toLocalDayKey } from './firebase-downloads.js';
+import { processImage, validateImageFile, isUnprocessedImage } from './image-processing.js';
+import { ROLES, normalizeRole, isAdminRole, hasPermission, getAssignableRoles } from './roles.js';
+import { RESOURCE_LANGUAGES, RESOURCE_AUDIENCES, normalizeTags } from './resource-search.js';
+import { createResourceThumbnail } from './resource-preview.js';
+import {
+    getCategoryName,
+    getCategoryFields,
+    normalizeCategory,
+    normalizeReportFields,
+    collectFields
+} from './category-fields.js';
+import {
+    getCachedCollection,
+    invalidateCachedDocuments,
+    removeCachedDocuments,
+    updateCachedDocuments,
+    expireCachedCollection,
+    clearCollectionCache
+} from './collection-cache.js';
+
+// Fetch all activity reports, newest first
 export async function fetchActivityReports() {
     try {
-        if (isCacheValid() && dataCache.activityReports) {
-            return dataCache.activityReports;
-        }
-
-        const reportsRef = collection(db, 'activityReports');
-        const q = query(reportsRef, orderBy('createdAt', 'desc'));
-        const querySnapshot = await getDocs(q);
-        
-        const reports = [];
-        querySnapshot.forEach((doc) => {
-            reports.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
-
-        dataCache.activityReports = reports;
-        dataCache.lastFetch = Date.now();
-        return reports;
+        const docs = await getCachedCollection('activityReports');
+        return Object.entries(docs)
+            .map(([id, data]) => ({ id, ...data }))
+            .sort((a, b) => (b.createdAt?.toMillis?.() ?? 0) - (a.createdAt?.toMillis?.() ?? 0));
     } catch (error) {
         console.error('Error fetching activity reports:', error);
         return [];
@@ -68,20 +77,7 @@ export async function fetchActivityReports() {
 // Fetch preaching categories
 export async function fetchPreachingCategories() {
     try {
-        if (isCacheValid() && dataCache.preachingCategories) {
-            return dataCache.preachingCategories;
-        }
-
-        const categoriesRef = collection(db, 'preachingCategories');
-        const querySnapshot = await getDocs(categoriesRef);
-        
-        const categories = {};
-        querySnapshot.forEach((doc) => {
-            categories[doc.id] = doc.data();
-        });
-
-        dataCache.preachingCategories = categories;
-        return categories;
+        return await getCachedCollection('preachingCategories');
     } catch (error) {
         console.error('Error fetching preaching categories:', error);
         return {};
@@ -91,95 +87,56 @@ export async function fetchPreachingCategories() {
 // Fetch users data
 export async function fetchUsers() {
     try {
-        if (isCacheValid() && dataCache.users) {
-            return dataCache.users;
-        }
-
-        const usersRef = collection(db, 'users');
-        const querySnapshot = await getDocs(usersRef);
-        
-        const users = {};
-        querySnapshot.forEach((doc) => {
-            users[doc.id] = doc.data();
-        });
-
-        dataCache.users = users;
-        return users;
+        return await getCachedCollection('users');
     } catch (error) {
         console.error('Error fetching users:', error);
         return {};
     }
 }
 
-// Calculate statistics for the impact section
-export async function calculatePreachingImpact() {
-    try {
-        const reports = await fetchActivityReports();
-        const users = await fetchUsers();
-        
-        let totalReports = reports.length;
-        let totalBooksDistributed = 0;
-        let totalPrasadamServed = 0;
-        let totalNewContacts = 0; // Lives Touched - new contacts
-        let templesWithReports = new Set(); // For cities covered
-
-        reports.forEach(report => {
-            // Count books distributed
-            if (report.booksDistributed) {
-                if (typeof report.booksDistributed === 'object') {
-                    // Handle different book sizes
-                    totalBooksDistributed += (report.booksDistributed.big || 0) + 
-                                           (report.booksDistributed.medium || 0) + 
-                                           (report.booksDistributed.small || 0);
-                } else {
-                    totalBooksDistributed += report.booksDistributed;
-                }
-            }
-
-            // Count NEW contacts (people reached) - Lives Touched
-            if (report.contacts && Array.isArray(report.contacts)) {
-                // Filter for new contacts only (those who weren't contacted before)
-                const newContacts = report.contacts.filter(contact => 
-                    contact.isNewContact === true || contact.isNew === true || 
-                    (contact.contactType && contact.contactType === 'new')
-                );
-                totalNewContacts += newContacts.length > 0 ? newContacts.length : report.contacts.length;
-            } else if (report.newContacts) {
-                // Direct field for new contacts
-                totalNewContacts += report.newContacts;
-            }
-
-            // Count prasadam served (estimate based on contacts or separate field)
-            if (report.prasadamServed) {
-                totalPrasadamServed += report.prasadamServed;
-            } else if (report.contacts) {
-                // Estimate prasadam as 1.5x contacts if not specified
-                totalPrasadamServed += Math.floor(report.contacts.length * 1.5);
-            }
-
-            // Track temples that have submitted reports (for cities covered)
-            if (report.createdBy) {
-                const user = users[report.createdBy];
-                if (user && user.temple) {
-                    templesWithReports.add(user.temple);
-                }
-            }
-        });
+// Load aggregate documents of one scope, falling back to counting the reports
+// in memory when the aggregates collection has not been built yet
+async function loadAggregates(scope, filters = {}) {
+    const totals = await fetchAggregateTotals(db);
+    if (totals) {
+        return scope === 'total' ? [totals] : fetchAggregatesByScope(db, scope, filters);
+    }
 
-        // Active Preachers = Total number of registered users
-        const totalRegisteredUsers = Object.keys(users).length;
+    console.warn('Impact aggregates not built yet, counting reports directly');
+    const [reports, users] = await Promise.all([fetchActivityReports(), fetchUsers()]);
+    return Object.values(buildAggregatesFromReports(reports, users))
+        .filter(aggregate => aggregate.scope === scope)
+        .filter(aggregate => !filters.temple || aggregate.temple === filters.temple)
+        .filter(aggregate => !filters.categoryId || aggregate.categoryId === filters.categoryId)
+        .filter(aggregate => !filters.startDay || aggregate.key >= filters.startDay);
+}
 
-        // Cities Covered = Number of temples that have submitted reports
-        const citiesCovered = templesWithReports.size;
+// Work out the impact section statistics from the totals and per-temple
+// aggregates. Also used by the dashboard to redraw after aggregate changes.
+export function summarizePreachingImpact(totals = {}, templeAggregates = [], activePreachers = 0) {
+    const totalPrasadamServed = totals.prasadam || 0;
+    const livesTouched = totals.livesTouched || 0;
+
+    return {
+        totalReports: totals.reports || 0,
+        totalBooksDistributed: totals.books || 0,
+        totalPrasadamServed: totalPrasadamServed || livesTouched * 2, // Fallback estimate
+        livesTouched, // Lives Touched - unique people met (first-seen contacts)
+        activePreachers, // Total registered users
+        // Cities Covered = temples that have submitted reports
+        citiesCovered: templeAggregates.filter(aggregate => aggregate.key !== 'Unknown' && aggregate.reports > 0).length
+    };
+}
 
-        return {
-            totalReports,
-            totalBooksDistributed,
-            totalPrasadamServed: totalPrasadamServed || totalNewContacts * 2, // Fallback estimate
-            livesTouched: totalNewContacts, // Lives Touched - new contacts
-            activePreachers: totalRegisteredUsers, // Total registered users
-            citiesCovered: citiesCovered // Number of temples with reports
-        };
+// Calculate statistics for the impact section from the precomputed aggregates
+export async function calculatePreachingImpact() {
+    try {
+        const [[totals = {}], templeAggregates, usersCount] = await Promise.all([
+            loadAggregates('total'),
+            loadAggregates('temple'),
+            getCountFromServer(collection(db, 'users'))
+        ]);
+        return summarizePreachingImpact(totals, templeAggregates, usersCount.data().count);
     } catch (error) {
         console.error('Error calculating preaching impact:', error);
         return {
@@ -193,6 +150,15 @@ export async function calculatePreachingImpact() {
     }
 }
 
+// Rebuild the impact aggregates from every activity report (admin maintenance)
+export async function rebuildImpactAggregates() {
+    await requirePermission(null, 'aggregates.rebuild', null, 'Only admins can rebuild the impact aggregates');
+    const users = await fetchUsers();
+    const count = await rebuildAggregates(db, users);
+    console.log(`Rebuilt ${count} impact aggregate documents`);
+    return count;
+}
+
 // Get recent reports for dashboard table
 export async function getRecentReports(limitCount = 10) {
     try {
@@ -260,61 +226,27 @@ export async function getRecentReports(limitCount = 10) {
     }
 }
 
-// Get chart data for zones/regions
+// Bar chart data for the top temples, from the per-temple aggregates
+export function buildTempleChartData(templeAggregates) {
+    // Top 5 temples by number of reports
+    const topTemples = templeAggregates
+        .filter(aggregate => aggregate.reports > 0)
+        .sort((a, b) => b.reports - a.reports)
+        .slice(0, 5);
+
+    return {
+        regions: topTemples.map(aggregate => aggregate.key),
+        booksData: topTemples.map(aggregate => aggregate.books || 0),
+        prasadamData: topTemples.map(aggregate => aggregate.prasadam || 0),
+        // Each report is an event/activity
+        eventsData: topTemples.map(aggregate => aggregate.reports || 0)
+    };
+}
+
+// Get chart data for zones/regions from the per-temple aggregates
 export async function getChartData() {
     try {
-        const reports = await fetchActivityReports();
-        const users = await fetchUsers();
-
-        // Group data by temple/region
-        const regionData = {};
-        
-        reports.forEach(report => {
-            const user = users[report.createdBy] || {};
-            const temple = user.temple || 'Unknown';
-            
-            if (!regionData[temple]) {
-                regionData[temple] = {
-                    books: 0,
-                    prasadam: 0,
-                    events: 0
-                };
-            }
-
-            // Count books
-            if (report.booksDistributed) {
-                if (typeof report.booksDistributed === 'object') {
-                    regionData[temple].books += (report.booksDistributed.big || 0) + 
-                                              (report.booksDistributed.medium || 0) + 
-                                              (report.booksDistributed.small || 0);
-                } else {
-                    regionData[temple].books += report.booksDistributed;
-                }
-            }
-
-            // Count prasadam
-            if (report.prasadamServed) {
-                regionData[temple].prasadam += report.prasadamServed;
-            } else if (report.contacts && Array.isArray(report.contacts)) {
-                regionData[temple].prasadam += Math.floor(report.contacts.length * 1.5);
-            }
-
-            // Count events (each report is an event/activity)
-            regionData[temple].events += 1;
-        });
-
-        // Convert to arrays for charts
-        const regions = Object.keys(regionData).slice(0, 5); // Top 5 regions
-        const booksData = regions.map(region => regionData[region].books);
-        const prasadamData = regions.map(region => regionData[region].prasadam);
-        const eventsData = regions.map(region => regionData[region].events);
-
-        return {
-            regions,
-            booksData,
-            prasadamData,
-            eventsData
-        };
+        return buildTempleChartData(await loadAggregates('temple'));
     } catch (error) {
         console.error('Error getting chart data:', error);
         return {
@@ -326,62 +258,52 @@ export async function getChartData() {
     }
 }
 
-// Get pie chart data for activity categories
-export async function getPieChartData() {
-    try {
-        const reports = await fetchActivityReports();
-        const categories = await fetchPreachingCategories();
-
-        // Group by category
-        const categoryData = {};
-        
-        // First, initialize all categories from the database with 0 count
-        Object.values(categories).forEach(category => {
-            const categoryName = category.categoryName || category.name || 'Unknown Category';
-            if (!categoryData[categoryName]) {
-                categoryData[categoryName] = 0;
-            }
-        });
-        
-        // Then count actual reports for each category
-        reports.forEach(report => {
-            const category = categories[report.categoryId] || {};
-            let categoryName = 'Other';
-            
-            // Try multiple fields to get the category name
-            if (category.categoryName) {
-                categoryName = category.categoryName;
-            } else if (category.name) {
-                categoryName = category.name;
-            } else if (report.categoryName) {
-                // Fallback: check if categoryName is directly in the report
-                categoryName = report.categoryName;
-            }
-            
-            if (!categoryData[categoryName]) {
-                categoryData[categoryName] = 0;
-            }
-            categoryData[categoryName] += 1;
-        });
-
-        // Convert to array format for pie chart, filtering out categories with 0 count
-        const pieData = Object.entries(categoryData)
-            .filter(([name, value]) => value > 0) // Only show categories with actual data
-            .map(([name, value]) => ({
-                name,
-                value
-            }))
-            .sort((a, b) => b.value - a.value); // Sort by value descending
-
-        // If no data found, return all categories from database with 0 values for display
-        if (pieData.length === 0) {
-            return Object.values(categories).map(category => ({
-                name: category.categoryName || category.name || 'Unknown Category',
-                value: 0
-            }));
+// Pie chart data for activity categories, from the per-category aggregates
+export function buildCategoryChartData(categoryAggregates, categories) {
+    // Group by category name; reports without a known category count as 'Other'
+    const categoryData = {};
+    const categoryColors = {};
+    categoryAggregates.forEach(aggregate => {
+        const category = categories[aggregate.key];
+        const categoryName = category ? getCategoryName(category) : 'Other';
+        categoryData[categoryName] = (categoryData[categoryName] || 0) + (aggregate.reports || 0);
+        if (category?.color) {
+            categoryColors[categoryName] = category.color;
         }
+    });
+
+    // Convert to array format for pie chart, filtering out categories with 0 count
+    const pieData = Object.entries(categoryData)
+        .filter(([name, value]) => value > 0) // Only show categories with actual data
+        .map(([name, value]) => ({
+            name,
+            value,
+            color: categoryColors[name] || null
+        }))
+        .sort((a, b) => b.value - a.value); // Sort by value descending
+
+    // If no data found, return all categories from database with 0 values for display
+    if (pieData.length === 0) {
+        return Object.values(categories)
+            .filter(category => !category.archived)
+            .map(category => ({
+                name: getCategoryName(category),
+                value: 0,
+                color: category.color || null
+            }));
+    }
+
+    return pieData;
+}
 
-        return pieData;
+// Get pie chart data for activity categories from the per-category aggregates
+export async function getPieChartData() {
+    try {
+        const [categoryAggregates, categories] = await Promise.all([
+            loadAggregates('category'),
+            fetchPreachingCategories()
+        ]);
+        return buildCategoryChartData(categoryAggregates, categories);
     } catch (error) {
         console.error('Error getting pie chart data:', error);
         // Return fallback data if there's an error
@@ -395,678 +317,2633 @@ export async function getPieChartData() {
     }
 }
 
-// Real-time listener for activity reports
-export function listenToActivityReports(callback) {
+// Get books, prasadam, contacts and events over time for the trend chart.
+// filters: { temple, categoryId, startDate (Date) }, the same shape the dashboard uses.
+// granularity: 'day', 'week', 'month' or 'year'.
+export async function getTrendData(filters = {}, granularity = 'week') {
     try {
-        const reportsRef = collection(db, 'activityReports');
-        const q = query(reportsRef, orderBy('createdAt', 'desc'), limit(50));
-        
-        return onSnapshot(q, (querySnapshot) => {
-            const reports = [];
-            querySnapshot.forEach((doc) => {
-                reports.push({
-                    id: doc.id,
-                    ...doc.data()
-                });
-            });
-            
-            // Update cache
-            dataCache.activityReports = reports;
-            dataCache.lastFetch = Date.now();
-            
-            callback(reports);
-        });
+        if (!TREND_GRANULARITIES.includes(granularity)) {
+            throw new Error(`Unknown trend granularity: ${granularity}`);
+        }
+
+        const startDay = filters.startDate ? toLocalDayKey(filters.startDate) : null;
+        const today = toLocalDayKey();
+
+        // Pick the per-day split that matches the selected temple and category
+        let scope = 'day';
+        if (filters.temple && filters.categoryId) {
+            scope = 'dayTempleCategory';
+        } else if (filters.temple) {
+            scope = 'dayTemple';
+        } else if (filters.categoryId) {
+            scope = 'dayCategory';
+        }
+        const aggregateFilters = {
+            temple: filters.temple || null,
+            categoryId: filters.categoryId || null,
+            startDay
+        };
+
+        const dayAggregates = await loadAggregates(scope, aggregateFilters);
+        return bucketDayAggregates(dayAggregates, granularity, startDay, startDay ? today : null);
     } catch (error) {
-        console.error('Error setting up real-time listener:', error);
-        return null;
+        console.error('Error getting trend data:', error);
+        return { labels: [], books: [], prasadam: [], contacts: [], events: [] };
     }
 }
 
-// Preaching Resources Functions
-
-// Upload resource file to Firebase Storage and save metadata to Firestore
-export async function uploadResource(file, category, title, description, userId) {
-    try {
-        console.log('=== RESOURCE UPLOAD PROCESS START ===');
-        console.log('Upload parameters:', { 
-            fileName: file.name, 
-            fileSize: file.size, 
-            fileType: file.type, 
-            category, 
-            title, 
-            description,
-            userId 
+// Follow a reports query and pass on what changes after the first snapshot as
+// onChanges([{ type, report, previous }]). type is 'added', 'modified' or
+// 'removed'; previous is the version of the report seen before, if any. The
+// queries below only lose a report when it is deleted, so 'removed' means deleted.
+function listenToReportChanges(reportsQuery, onChanges) {
+    const seen = new Map();
+    let initial = true;
+    return onSnapshot(reportsQuery, (querySnapshot) => {
+        const changes = querySnapshot.docChanges().map(change => {
+            // Show the user's own new reports before the server has stamped them
+            const report = { id: change.doc.id, ...change.doc.data({ serverTimestamps: 'estimate' }) };
+            const previous = seen.get(report.id) || null;
+            if (change.type === 'removed') {
+                seen.delete(report.id);
+            } else {
+                seen.set(report.id, report);
+            }
+            return { type: change.type, report, previous, doc: change.doc };
         });
 
-        // Validate inputs
-        if (!file) {
-            throw new Error('No file provided');
+        // Keep the cached collection up to date with what the listener sees
+        const removed = changes.filter(change => change.type === 'removed').map(change => change.report.id);
+        const written = changes.filter(change => change.type !== 'removed' && !change.doc.metadata.hasPendingWrites);
+        if (removed.length > 0) {
+            removeCachedDocuments('activityReports', removed);
         }
-        if (!category) {
-            throw new Error('Category is required');
-        }
-        if (!title) {
-            throw new Error('Title is required');
-        }
-        if (!userId) {
-            throw new Error('User ID is required');
+        if (written.length > 0) {
+            updateCachedDocuments('activityReports', Object.fromEntries(
+                written.map(change => [change.report.id, change.doc.data()])
+            ));
         }
 
-        // Validate file size (50MB limit for resources)
-        if (file.size > 50 * 1024 * 1024) {
-            throw new Error('File size exceeds 50MB limit');
+        // The first snapshot is what was already there when listening started
+        if (!initial && changes.length > 0) {
+            onChanges(changes.map(({ type, report, previous }) => ({ type, report, previous })));
         }
+        initial = false;
+    }, (error) => {
+        console.error('Error listening to activity reports:', error);
+    });
+}
 
-        console.log('✓ All validations passed');
+// How far before now the new-reports listener starts, to allow for clock differences
+const REPORT_LISTENER_LOOKBACK = 5 * 60 * 1000;
 
-        // Create a unique filename
-        const timestamp = Date.now();
-        const fileExtension = file.name.split('.').pop().toLowerCase();
-        const baseName = file.name.replace(/\.[^/.]+$/, '');
-        const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9\s]/g, '_');
-        const filename = `${category}/${timestamp}_${sanitizedBaseName}.${fileExtension}`;
-        
-        console.log('Generated filename:', filename);
-        
-        // Upload file to Firebase Storage
-        const storageRef = ref(storage, `resources/${filename}`);
-        console.log('Starting Firebase Storage upload...');
-        
-        const snapshot = await uploadBytes(storageRef, file);
-        console.log('✓ Upload to Storage successful');
-        
-        // Get download URL
-        const downloadURL = await getDownloadURL(storageRef);
-        console.log('✓ Download URL obtained');
-        
-        // Save resource metadata to Firestore
-        const resourceData = {
-            title: title,
-            description: description || '',
-            category: category, // 'books', 'presentations', 'videos', 'templates'
-            url: downloadURL,
-            filename: filename,
-            originalName: file.name,
-            size: file.size,
-            type: file.type,
-            fileExtension: fileExtension.toUpperCase(),
-            uploadedBy: userId,
-            uploadedAt: new Date().toISOString(),
-            createdAt: serverTimestamp(),
-            downloads: 0,
-            isActive: true
-        };
-        
-        console.log('Saving metadata to Firestore:', resourceData);
-        const docRef = await addDoc(collection(db, 'preachingResources'), resourceData);
-        console.log('✓ Metadata saved successfully with ID:', docRef.id);
-        
-        console.log('=== RESOURCE UPLOAD PROCESS COMPLETE ===');
-        return {
-            id: docRef.id,
-            ...resourceData,
-            createdAt: new Date()
-        };
-        
+// Real-time listener for reports submitted from now on, by anyone.
+// Returns a function that stops listening.
+export function listenToActivityReports(onChanges) {
+    try {
+        // Look back a few minutes in case this device's clock is ahead
+        const since = Timestamp.fromMillis(Date.now() - REPORT_LISTENER_LOOKBACK);
+        const q = query(collection(db, 'activityReports'), where('createdAt', '>=', since));
+        return listenToReportChanges(q, onChanges);
     } catch (error) {
-        console.error('=== RESOURCE UPLOAD PROCESS FAILED ===');
-        console.error('Error uploading resource:', error);
-        throw new Error(`Upload failed: ${error.message}`);
+        console.error('Error setting up real-time listener:', error);
+        return null;
     }
 }
 
-// Fetch resources by category
-export async function fetchResources(category = null) {
+// Real-time listener for edits to and deletions of particular reports, such
+// as the ones on the current dashboard page. Returns a function that stops listening.
+export function listenToActivityReportsById(reportIds, onChanges) {
     try {
-        console.log('=== FETCH RESOURCES START ===');
-        console.log('Requested category:', category);
-        
-        const resourcesRef = collection(db, 'preachingResources');
-        let q;
-        
-        if (category) {
-            q = query(resourcesRef, where('category', '==', category), where('isActive', '==', true));
-        } else {
-            q = query(resourcesRef, where('isActive', '==', true));
+        // 'in' queries take at most 10 values
+        const unsubscribes = [];
+        for (let i = 0; i < reportIds.length; i += 10) {
+            const q = query(collection(db, 'activityReports'), where(documentId(), 'in', reportIds.slice(i, i + 10)));
+            unsubscribes.push(listenToReportChanges(q, onChanges));
         }
-        
-        const querySnapshot = await getDocs(q);
-        console.log('Query snapshot size:', querySnapshot.size);
-        
-        const resources = [];
-        querySnapshot.forEach((doc) => {
-            const data = doc.data();
-            resources.push({
-                id: doc.id,
-                ...data,
-                uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
-                formattedSize: formatFileSize(data.size || 0)
-            });
-        });
-        
-        // Sort by upload date (newest first)
-        resources.sort((a, b) => {
-            const dateA = a.createdAt?.toDate?.() || new Date(a.uploadedAt || 0);
-            const dateB = b.createdAt?.toDate?.() || new Date(b.uploadedAt || 0);
-            return dateB - dateA;
-        });
-        
-        console.log(`✓ Processed ${resources.length} resources for category '${category}'`);
-        console.log('=== FETCH RESOURCES END ===');
-        
-        return resources;
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
     } catch (error) {
-        console.error('Error fetching resources:', error);
-        return [];
+        console.error('Error setting up real-time listener:', error);
+        return null;
     }
 }
 
-// Delete resource from both Storage and Firestore
-export async function deleteResource(resourceId, filename) {
+// Real-time listener for the aggregates behind the impact statistics and the
+// temple and category charts. onChanges([{ type, aggregate }]) is first called
+// with every aggregate, then with each change. Returns a function that stops listening.
+export function listenToImpactAggregates(onChanges) {
     try {
-        // Delete from Firestore
-        const resourceRef = doc(db, 'preachingResources', resourceId);
-        await deleteDoc(resourceRef);
-        
-        // Delete from Storage
-        const storageRef = ref(storage, `resources/${filename}`);
-        await deleteObject(storageRef);
-        
-        console.log('Resource deleted successfully');
-        return true;
+        return listenToAggregatesByScope(db, ['total', 'temple', 'category'], onChanges, (error) => {
+            console.error('Error listening to impact aggregates:', error);
+        });
     } catch (error) {
-        console.error('Error deleting resource:', error);
-        throw error;
+        console.error('Error setting up real-time listener:', error);
+        return null;
     }
 }
 
-// Increment download count for a resource
-export async function incrementDownloadCount(resourceId) {
-    try {
-        const { doc, updateDoc, increment } = await import('https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js');
-        
-        const resourceRef = doc(db, 'preachingResources', resourceId);
-        await updateDoc(resourceRef, {
-            downloads: increment(1),
-            lastDownloaded: new Date().toISOString()
-        });
-        
-        console.log('Download count incremented for resource:', resourceId);
+// Paged Activity Report Queries
+
+// Default number of reports per dashboard page
+export const REPORTS_PAGE_SIZE = 10;
+
+// Build a reports query from dashboard filters.
+// filters: { temple, categoryId, startDate (Date) }
+// The date range is on the activity date, not when the report was saved, so
+// backdated and imported reports count in the period they happened, as in the
+// trend chart. Reports are sorted newest activity first.
+function buildReportsQuery(filters = {}) {
+    const constraints = [];
+
+    if (filters.temple) {
+        constraints.push(where('temple', '==', filters.temple));
+    }
+    if (filters.categoryId) {
+        constraints.push(where('categoryId', '==', filters.categoryId));
+    }
+    if (filters.startDate) {
+        constraints.push(where('date', '>=', toLocalDayKey(filters.startDate)));
+    }
+
+    return query(collection(db, 'activityReports'), ...constraints, orderBy('date', 'desc'), orderBy('createdAt', 'desc'));
+}
+
+// Fetch one page of activity reports matching the filters.
+// Pass the cursor returned by the previous page to get the next one, or the
+// [date, createdAt] of the report the next page should start after.
+export async function fetchActivityReportsPage(filters = {}, cursor = null, pageSize = REPORTS_PAGE_SIZE) {
+    try {
+        const baseQuery = buildReportsQuery(filters);
+        // Fetch one extra document to know whether another page follows
+        const pageQuery = cursor
+            ? query(baseQuery, Array.isArray(cursor) ? startAfter(...cursor) : startAfter(cursor), limit(pageSize + 1))
+            : query(baseQuery, limit(pageSize + 1));
+
+        const querySnapshot = await getDocs(pageQuery);
+        const docs = querySnapshot.docs.slice(0, pageSize);
+
+        return {
+            reports: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            cursor: docs.length > 0 ? docs[docs.length - 1] : cursor,
+            hasMore: querySnapshot.docs.length > pageSize
+        };
+    } catch (error) {
+        console.error('Error fetching activity reports page:', error);
+        throw error;
+    }
+}
+
+// Count activity reports matching the filters without downloading them
+export async function countActivityReports(filters = {}) {
+    try {
+        const snapshot = await getCountFromServer(buildReportsQuery(filters));
+        return snapshot.data().count;
+    } catch (error) {
+        console.error('Error counting activity reports:', error);
+        return 0;
+    }
+}
+
+// Fetch every activity report matching the filters (used for exports)
+export async function fetchFilteredActivityReports(filters = {}) {
+    try {
+        const querySnapshot = await getDocs(buildReportsQuery(filters));
+        return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error fetching filtered activity reports:', error);
+        return [];
+    }
+}
+
+// Copy each preacher's temple onto reports created before reports stored it,
+// so older reports show up when the dashboard filters by temple. Reports
+// without an activity date get the day they were saved, since the dashboard
+// sorts and filters on it.
+export async function backfillReportTemples() {
+    await requirePermission(null, 'reports.backfill', null, 'Only admins can backfill reports');
+    const [reportsSnapshot, users] = await Promise.all([
+        getDocs(collection(db, 'activityReports')),
+        fetchUsers()
+    ]);
+
+    const pending = reportsSnapshot.docs.filter(reportDoc => {
+        const data = reportDoc.data();
+        return (!data.temple && users[data.createdBy]?.temple) || (!data.date && data.createdAt);
+    });
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < pending.length; i += 500) {
+        const batch = writeBatch(db);
+        pending.slice(i, i + 500).forEach(reportDoc => {
+            const data = reportDoc.data();
+            batch.update(reportDoc.ref, {
+                temple: data.temple || users[data.createdBy]?.temple || null,
+                date: data.date || toLocalDayKey(data.createdAt.toDate()),
+                updatedAt: serverTimestamp()
+            });
+        });
+        await batch.commit();
+    }
+
+    await expireCachedCollection('activityReports');
+    console.log(`Backfilled temple and date on ${pending.length} activity reports`);
+    return pending.length;
+}
+
+// Activity Report Submission Functions
+
+// Parse a count field as a non-negative whole number
+function parseCount(value, fieldName) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`${fieldName} must be a whole number of 0 or more`);
+    }
+    return count;
+}
+
+// Validate report form input and normalize it to the activityReports shape.
+// existing is the saved report when editing; it may keep an archived category.
+async function validateActivityReport(reportData, existing = null) {
+    if (!reportData) {
+        throw new Error('No report data provided');
+    }
+
+    const categories = await fetchPreachingCategories();
+    const category = categories[reportData.categoryId];
+    if (!reportData.categoryId || !category) {
+        throw new Error('Please select a valid activity category');
+    }
+    if (category.archived && existing?.categoryId !== reportData.categoryId) {
+        throw new Error(`${getCategoryName(category)} is archived; please choose another activity`);
+    }
+
+    // Date must be a real YYYY-MM-DD date and not in the future
+    const date = (reportData.date || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        throw new Error('Please enter a valid activity date');
+    }
+    // Compare with the user's own date: before 08:00 in Malaysia it is still yesterday in UTC
+    if (date > toLocalDayKey()) {
+        throw new Error('Activity date cannot be in the future');
+    }
+
+    const books = reportData.booksDistributed || {};
+    const booksDistributed = {
+        small: parseCount(books.small, 'Small books'),
+        medium: parseCount(books.medium, 'Medium books'),
+        big: parseCount(books.big ?? books.large, 'Big books')
+    };
+
+    const prasadamServed = parseCount(reportData.prasadamServed, 'Prasadam served');
+
+    const contacts = (reportData.contacts || []).map((contact, index) => {
+        const name = (contact.name || '').trim();
+        const phone = (contact.phone || '').trim();
+        if (!name) {
+            throw new Error(`Contact ${index + 1} is missing a name`);
+        }
+        if (phone && !/^\+?[\d\s-]{7,15}$/.test(phone)) {
+            throw new Error(`Contact ${index + 1} has an invalid phone number`);
+        }
+        return {
+            name,
+            phone,
+            isNewContact: contact.isNewContact !== false
+        };
+    });
+
+    const normalized = {
+        categoryId: reportData.categoryId,
+        categoryName: getCategoryName(category),
+        date,
+        booksDistributed,
+        prasadamServed,
+        contacts,
+        notes: (reportData.notes || '').trim(),
+        // Values for the extra fields of the report's category
+        fields: normalizeReportFields(category, reportData.fields)
+    };
+
+    return normalized;
+}
+
+// Tag a report's contacts with first-seen markers before it is saved.
+// If the lookup fails the report is saved unmarked and counted the old way.
+async function markContactsSafely(contacts, reportId, reportDate) {
+    try {
+        return await markFirstSeenContacts(contacts, reportId, reportDate);
+    } catch (error) {
+        console.error('Error marking first-seen contacts:', error);
+        return contacts;
+    }
+}
+
+// Merge a saved report's contacts into the follow-up list, and move the
+// first-seen markers of other reports when the first meeting with someone
+// moved. previous is the report before an edit.
+// The report itself is already saved, so a failure here is only logged.
+async function syncContactsSafely(report, actor, previous = null) {
+    try {
+        const moves = await syncReportContacts(report, previous, actor.uid);
+        if (moves.length === 0) {
+            return;
+        }
+        const batch = writeBatch(db);
+        const changedReports = await queueFirstSeenMoves(batch, moves, actor);
+        if (changedReports.length > 0) {
+            await batch.commit();
+            await invalidateCachedDocuments('activityReports', changedReports);
+        }
+    } catch (error) {
+        console.error('Error syncing report contacts:', error);
+    }
+}
+
+// Create a new activity report for the given preacher
+export async function createActivityReport(reportData, userId) {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        const actor = await requirePermission(userId, 'reports.create', { createdBy: userId }, 'You cannot submit reports');
+
+        const report = await validateActivityReport(reportData);
+        const users = await fetchUsers();
+        const docRef = doc(collection(db, 'activityReports'));
+        report.contacts = await markContactsSafely(report.contacts, docRef.id, report.date);
+        const newReport = {
+            ...report,
+            // Stored on the report so the dashboard can filter by temple server-side
+            temple: users[userId]?.temple || null,
+            createdBy: userId,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        };
+
+        // The impact aggregates follow in the rollUpActivityReport function
+        const batch = writeBatch(db);
+        batch.set(docRef, newReport);
+        queueAuditEntry(batch, userId, 'report.create', { type: 'activityReports', id: docRef.id }, null, newReport);
+        await batch.commit();
+
+        // Force the dashboard to pick up the new report
+        await invalidateCachedDocuments('activityReports', [docRef.id]);
+
+        await syncContactsSafely({ ...newReport, id: docRef.id }, actor);
+
+        console.log('Activity report created with ID:', docRef.id);
+        return {
+            id: docRef.id,
+            ...newReport,
+            createdAt: new Date()
+        };
+    } catch (error) {
+        console.error('Error creating activity report:', error);
+        throw error;
+    }
+}
+
+// Update an existing activity report (only its creator may edit it)
+export async function updateActivityReport(reportId, reportData, userId) {
+    try {
+        if (!reportId) {
+            throw new Error('Report ID is required');
+        }
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+
+        const existing = await fetchSingleActivityReport(reportId);
+        if (!existing) {
+            throw new Error('Report not found');
+        }
+        const actor = await requirePermission(userId, 'reports.update', existing, 'You do not have permission to edit this report');
+
+        const report = await validateActivityReport(reportData, existing);
+        report.contacts = await markContactsSafely(report.contacts, reportId, report.date);
+        // The fields map is replaced whole, so values of another category's fields go
+        const updates = {
+            ...report,
+            updatedAt: serverTimestamp()
+        };
+
+        const updatedReport = { ...existing, ...report, id: reportId };
+
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'activityReports', reportId), updates);
+        queueAuditEntry(batch, userId, 'report.update', { type: 'activityReports', id: reportId }, existing, updatedReport);
+        await batch.commit();
+
+        await invalidateCachedDocuments('activityReports', [reportId]);
+
+        await syncContactsSafely(updatedReport, actor, existing);
+
+        console.log('Activity report updated:', reportId);
+        return updatedReport;
+    } catch (error) {
+        console.error('Error updating activity report:', error);
+        throw error;
+    }
+}
+
+// Queue first-seen markers moved by the contacts module on the batch:
+// moves is [{ reportId, contactKey, firstSeen }]. A report that becomes the
+// first meeting with someone marks the person's first mention on it; the
+// report that stops being it is cleared, so "Lives Touched" counts the person
+// once. Reports the actor may not edit are left for markAllReportsFirstSeen().
+// Returns the IDs of the reports changed.
+async function queueFirstSeenMoves(batch, moves, actor) {
+    const markersByReport = {};
+    moves.forEach(({ reportId, contactKey, firstSeen }) => {
+        markersByReport[reportId] = markersByReport[reportId] || new Map();
+        markersByReport[reportId].set(contactKey, firstSeen);
+    });
+
+    const changed = [];
+    for (const [reportId, markers] of Object.entries(markersByReport)) {
+        const before = await fetchSingleActivityReport(reportId);
+        if (!before || !hasPermission(actor, 'reports.update', before)) {
+            continue;
+        }
+        const marked = new Set();
+        let modified = false;
+        const contacts = (before.contacts || []).map(contact => {
+            if (!markers.has(contact.contactKey)) {
+                return contact;
+            }
+            const firstSeen = markers.get(contact.contactKey) && !marked.has(contact.contactKey);
+            marked.add(contact.contactKey);
+            if (contact.firstSeen === firstSeen) {
+                return contact;
+            }
+            modified = true;
+            return { ...contact, firstSeen };
+        });
+        if (modified) {
+            batch.update(doc(db, 'activityReports', reportId), { contacts, updatedAt: serverTimestamp() });
+            changed.push(reportId);
+        }
+    }
+    return changed;
+}
+
+// Queue the removal of a deleted report from its contacts on the delete batch,
+// marking the next meeting with each person it was the first meeting with.
+// Returns the IDs of the reports changed.
+async function queueDeletedReportContacts(batch, report, actor) {
+    const moved = await queueReportContactsRemoval(batch, report, actor.uid);
+    return queueFirstSeenMoves(batch, moved, actor);
+}
+
+// Delete an activity report (only its creator may delete it)
+export async function deleteActivityReport(reportId, userId) {
+    try {
+        const existing = await fetchSingleActivityReport(reportId);
+        if (!existing) {
+            throw new Error('Report not found');
+        }
+        const actor = await requirePermission(userId, 'reports.delete', existing, 'You do not have permission to delete this report');
+
+        const batch = writeBatch(db);
+        batch.delete(doc(db, 'activityReports', reportId));
+        const changedReports = await queueDeletedReportContacts(batch, existing, actor);
+        queueAuditEntry(batch, userId, 'report.delete', { type: 'activityReports', id: reportId }, existing, null);
+        await batch.commit();
+
+        await removeCachedDocuments('activityReports', [reportId]);
+        if (changedReports.length > 0) {
+            await invalidateCachedDocuments('activityReports', changedReports);
+        }
+
+        console.log('Activity report deleted:', reportId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting activity report:', error);
+        throw error;
+    }
+}
+
+// Report Import Functions
+
+// Fetch the saved reports with activity dates between two days (YYYY-MM-DD,
+// inclusive) for the given temples, to check an import against them
+export async function fetchReportsBetween(startDay, endDay, temples) {
+    const querySnapshot = await getDocs(query(
+        collection(db, 'activityReports'),
+        where('date', '>=', startDay),
+        where('date', '<=', endDay)
+    ));
+    return querySnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(report => temples.includes(report.temple));
+}
+
+// Reports written per batch. Small batches keep the import's progress moving
+// and spread out the impact aggregate updates each report triggers.
+const REPORT_IMPORT_BATCH_SIZE = 50;
+
+// Save the valid reports of a spreadsheet import (see report-import.js).
+// Every report is tagged with the ID of a `reportImports` document, so the
+// whole import can be rolled back with rollbackReportImport(). Reports are
+// credited to the preacher matched in the sheet, or to the importing user
+// when the preacher has no account.
+// onProgress(saved, total) is called after each batch.
+// Returns { importId, imported }.
+export async function importActivityReports(reports, fileName, userId, onProgress = null) {
+    const temples = [...new Set(reports.map(report => report.temple))];
+    const actor = await requirePermission(userId, 'reports.import', null, 'You cannot import reports');
+    temples.forEach(temple => {
+        if (!hasPermission(actor, 'reports.import', { temple })) {
+            throw new Error(`You can only import reports for ${actor.temple || 'your own temple'}`);
+        }
+    });
+    if (reports.length === 0) {
+        throw new Error('There are no valid rows to import');
+    }
+
+    const importRef = doc(collection(db, 'reportImports'));
+    const importRecord = {
+        fileName: fileName || '',
+        temple: temples.length === 1 ? temples[0] : null,
+        temples,
+        rowCount: reports.length,
+        importedCount: 0,
+        status: 'importing',
+        createdBy: actor.uid,
+        createdAt: serverTimestamp()
+    };
+    const startBatch = writeBatch(db);
+    startBatch.set(importRef, importRecord);
+    queueAuditEntry(startBatch, actor.uid, 'report.import', { type: 'reportImports', id: importRef.id }, null, importRecord);
+    await startBatch.commit();
+
+    let imported = 0;
+    try {
+        for (let start = 0; start < reports.length; start += REPORT_IMPORT_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            reports.slice(start, start + REPORT_IMPORT_BATCH_SIZE).forEach(report => {
+                const newReport = {
+                    ...report,
+                    createdBy: report.createdBy || actor.uid,
+                    importId: importRef.id,
+                    importedBy: actor.uid,
+                    // Historical rows are dated by their activity, not the import,
+                    // so they don't show up as the latest submissions
+                    createdAt: Timestamp.fromDate(new Date(`${report.date}T00:00:00`)),
+                    importedAt: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                };
+                batch.set(doc(collection(db, 'activityReports')), newReport);
+            });
+            imported = Math.min(reports.length, start + REPORT_IMPORT_BATCH_SIZE);
+            batch.update(importRef, { importedCount: imported });
+            await batch.commit();
+            onProgress?.(imported, reports.length);
+        }
+        await updateDoc(importRef, { status: 'complete', completedAt: serverTimestamp() });
+    } catch (error) {
+        console.error('Error importing reports:', error);
+        // Keep what was saved on record so it can be rolled back
+        await updateDoc(importRef, { status: 'failed', error: error.message }).catch(() => {});
+        throw new Error(`Import stopped after ${imported} of ${reports.length} reports: ${error.message}`);
+    } finally {
+        await expireCachedCollection('activityReports');
+    }
+
+    console.log(`Imported ${imported} reports with import ID:`, importRef.id);
+    return { importId: importRef.id, imported };
+}
+
+// Recent imports, newest first. Coordinators see their own temple's.
+export async function fetchReportImports(userId) {
+    try {
+        const actor = await requirePermission(userId, 'reports.import', null, 'You cannot import reports');
+        const constraints = isAdminRole(actor.role) ? [] : [where('temple', '==', actor.temple || '')];
+        const querySnapshot = await getDocs(query(
+            collection(db, 'reportImports'), ...constraints, orderBy('createdAt', 'desc'), limit(50)
+        ));
+        return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error fetching report imports:', error);
+        return [];
+    }
+}
+
+// Delete every report of an import; the rollUpActivityReport function takes
+// them out of the impact aggregates. Reports edited since the import are deleted too; those given contacts are
+// deleted one at a time, together with their removal from the contacts.
+// Returns the number of reports removed.
+export async function rollbackReportImport(importId, userId) {
+    try {
+        const importRef = doc(db, 'reportImports', importId);
+        const importSnap = await getDoc(importRef);
+        if (!importSnap.exists()) {
+            throw new Error('Import not found');
+        }
+        const importRecord = importSnap.data();
+        if (importRecord.status === 'rolledBack') {
+            throw new Error('This import has already been rolled back');
+        }
+        const actor = await requirePermission(userId, 'reports.import', importRecord,
+            'You can only roll back imports for your own temple');
+
+        const querySnapshot = await getDocs(query(collection(db, 'activityReports'), where('importId', '==', importId)));
+        const reports = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const withContacts = reports.filter(report => report.contacts?.length > 0);
+        const tallies = reports.filter(report => !(report.contacts?.length > 0));
+        for (let start = 0; start < tallies.length; start += REPORT_IMPORT_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            tallies.slice(start, start + REPORT_IMPORT_BATCH_SIZE).forEach(report => {
+                batch.delete(doc(db, 'activityReports', report.id));
+            });
+            await batch.commit();
+        }
+        const changedReports = [];
+        for (const { id } of withContacts) {
+            // Read again: deleting an earlier report may have marked this one first seen
+            const report = await fetchSingleActivityReport(id);
+            if (!report) {
+                continue;
+            }
+            const batch = writeBatch(db);
+            batch.delete(doc(db, 'activityReports', report.id));
+            changedReports.push(...await queueDeletedReportContacts(batch, report, actor));
+            await batch.commit();
+        }
+
+        const updates = { status: 'rolledBack', rolledBackBy: actor.uid, rolledBackAt: serverTimestamp(), removedCount: reports.length };
+        const batch = writeBatch(db);
+        batch.update(importRef, updates);
+        queueAuditEntry(batch, actor.uid, 'report.rollbackImport', { type: 'reportImports', id: importId },
+            importRecord, { ...importRecord, ...updates });
+        await batch.commit();
+
+        await removeCachedDocuments('activityReports', reports.map(report => report.id));
+        if (changedReports.length > 0) {
+            await invalidateCachedDocuments('activityReports', changedReports);
+        }
+        console.log(`Rolled back import ${importId}: ${reports.length} reports removed`);
+        return reports.length;
+    } catch (error) {
+        console.error('Error rolling back report import:', error);
+        throw error;
+    }
+}
+
+// Targets Functions
+
+// Metrics a target can be set on; they match the normalized dashboard report fields
+export const TARGET_METRICS = ['books', 'prasadam', 'contacts'];
+
+// Summed number fields of the categories, which targets can be set on too.
+// Returns [{ metric: 'field:<key>', label, unit }].
+export function getTargetFieldMetrics(categories) {
+    return collectFields(Object.values(categories))
+        .filter(field => field.type === 'number' && field.summed)
+        .map(field => ({ metric: `field:${field.key}`, label: field.label, unit: field.unit }));
+}
+
+// Validate target form input and normalize it to the targets shape
+async function validateTarget(targetData) {
+    if (!targetData) {
+        throw new Error('No target data provided');
+    }
+
+    const name = (targetData.name || '').trim();
+    if (!name) {
+        throw new Error('Target name is required');
+    }
+    const categories = await fetchPreachingCategories();
+    const fieldMetrics = getTargetFieldMetrics(categories).map(({ metric }) => metric);
+    if (!TARGET_METRICS.includes(targetData.metric) && !fieldMetrics.includes(targetData.metric)) {
+        throw new Error('Please select a valid metric');
+    }
+
+    // Empty category means the target counts every category
+    const categoryId = targetData.categoryId || '';
+    if (categoryId && !categories[categoryId]) {
+        throw new Error('Please select a valid activity category');
+    }
+
+    const startDate = (targetData.startDate || '').trim();
+    const endDate = (targetData.endDate || '').trim();
+    const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    if (!isDay(startDate) || !isDay(endDate)) {
+        throw new Error('Please enter a valid start and end date');
+    }
+    if (endDate < startDate) {
+        throw new Error('End date cannot be before start date');
+    }
+
+    const goal = Number(targetData.goal);
+    if (!Number.isInteger(goal) || goal <= 0) {
+        throw new Error('Goal must be a whole number greater than 0');
+    }
+
+    return {
+        name,
+        // Empty temple means the target is network-wide
+        temple: (targetData.temple || '').trim(),
+        categoryId,
+        metric: targetData.metric,
+        startDate,
+        endDate,
+        goal
+    };
+}
+
+// Fetch all targets, latest period first
+export async function fetchTargets() {
+    try {
+        const querySnapshot = await getDocs(collection(db, 'targets'));
+        const targets = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        targets.sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
+        return targets;
+    } catch (error) {
+        console.error('Error fetching targets:', error);
+        return [];
+    }
+}
+
+// Create a target (admins, or coordinators for their own temple)
+export async function createTarget(targetData, userId) {
+    try {
+        const target = await validateTarget(targetData);
+        await requirePermission(userId, 'targets.manage', target, 'You can only manage targets for your own temple');
+
+        const docRef = await addDoc(collection(db, 'targets'), {
+            ...target,
+            createdBy: userId,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+
+        console.log('Target created with ID:', docRef.id);
+        return { id: docRef.id, ...target };
+    } catch (error) {
+        console.error('Error creating target:', error);
+        throw error;
+    }
+}
+
+// Update a target (admins, or coordinators for their own temple)
+export async function updateTarget(targetId, targetData, userId) {
+    try {
+        if (!targetId) {
+            throw new Error('Target ID is required');
+        }
+        const existing = await getDoc(doc(db, 'targets', targetId));
+        if (!existing.exists()) {
+            throw new Error('Target not found');
+        }
+        const target = await validateTarget(targetData);
+        // A coordinator may neither edit another temple's target nor move one to another temple
+        await requirePermission(userId, 'targets.manage', existing.data(), 'You can only manage targets for your own temple');
+        await requirePermission(userId, 'targets.manage', target, 'You can only manage targets for your own temple');
+
+        await updateDoc(doc(db, 'targets', targetId), {
+            ...target,
+            updatedAt: serverTimestamp()
+        });
+
+        console.log('Target updated:', targetId);
+        return { id: targetId, ...target };
+    } catch (error) {
+        console.error('Error updating target:', error);
+        throw error;
+    }
+}
+
+// Delete a target (admins, or coordinators for their own temple)
+export async function deleteTarget(targetId, userId) {
+    try {
+        const existing = await getDoc(doc(db, 'targets', targetId));
+        if (!existing.exists()) {
+            throw new Error('Target not found');
+        }
+        await requirePermission(userId, 'targets.manage', existing.data(), 'You can only manage targets for your own temple');
+
+        const batch = writeBatch(db);
+        batch.delete(doc(db, 'targets', targetId));
+        queueAuditEntry(batch, userId, 'target.delete', { type: 'targets', id: targetId }, existing.data(), null);
+        await batch.commit();
+        console.log('Target deleted:', targetId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting target:', error);
+        throw error;
+    }
+}
+
+// Category Management Functions
+
+// Create a preaching category (super admins)
+export async function createPreachingCategory(categoryData, userId) {
+    try {
+        const actor = await requirePermission(userId, 'categories.manage', null, 'Only super admins can manage activity categories');
+        const category = normalizeCategory(categoryData, await fetchPreachingCategories());
+
+        const docRef = doc(collection(db, 'preachingCategories'));
+        const newCategory = {
+            ...category,
+            archived: false,
+            createdBy: actor.uid,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        };
+        const batch = writeBatch(db);
+        batch.set(docRef, newCategory);
+        queueAuditEntry(batch, actor.uid, 'category.create', { type: 'preachingCategories', id: docRef.id }, null, newCategory);
+        await batch.commit();
+        await invalidateCachedDocuments('preachingCategories', [docRef.id]);
+
+        console.log('Category created with ID:', docRef.id);
+        return { id: docRef.id, ...newCategory };
+    } catch (error) {
+        console.error('Error creating category:', error);
+        throw error;
+    }
+}
+
+// Rename or recolour a category, or change its extra fields (super admins).
+// Reports keep the values of a removed field, but they are no longer shown.
+export async function updatePreachingCategory(categoryId, categoryData, userId) {
+    try {
+        const actor = await requirePermission(userId, 'categories.manage', null, 'Only super admins can manage activity categories');
+        const categories = await fetchPreachingCategories();
+        const existing = categories[categoryId];
+        if (!existing) {
+            throw new Error('Category not found');
+        }
+
+        const updates = {
+            ...normalizeCategory(categoryData, categories, categoryId),
+            updatedAt: serverTimestamp()
+        };
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'preachingCategories', categoryId), updates);
+        queueAuditEntry(batch, actor.uid, 'category.update', { type: 'preachingCategories', id: categoryId },
+            existing, { ...existing, ...updates });
+        await batch.commit();
+        await invalidateCachedDocuments('preachingCategories', [categoryId]);
+
+        console.log('Category updated:', categoryId);
+        return { id: categoryId, ...existing, ...updates };
+    } catch (error) {
+        console.error('Error updating category:', error);
+        throw error;
+    }
+}
+
+// Archive a category so it can't be chosen for new reports, or bring it back
+// (super admins). Its reports stay on the dashboard either way.
+export async function setPreachingCategoryArchived(categoryId, archived, userId) {
+    try {
+        const actor = await requirePermission(userId, 'categories.manage', null, 'Only super admins can manage activity categories');
+        const existing = (await fetchPreachingCategories())[categoryId];
+        if (!existing) {
+            throw new Error('Category not found');
+        }
+
+        const updates = { archived, updatedAt: serverTimestamp() };
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'preachingCategories', categoryId), updates);
+        queueAuditEntry(batch, actor.uid, archived ? 'category.archive' : 'category.restore',
+            { type: 'preachingCategories', id: categoryId }, existing, { ...existing, ...updates });
+        await batch.commit();
+        await invalidateCachedDocuments('preachingCategories', [categoryId]);
+
+        console.log(`Category ${categoryId} ${archived ? 'archived' : 'restored'}`);
+        return true;
+    } catch (error) {
+        console.error('Error archiving category:', error);
+        throw error;
+    }
+}
+
+// Categories that recorded lamps before categories had their own fields
+const LEGACY_LAMP_CATEGORIES = ['Temple Program', 'Damodara'];
+
+// Turn the lamps count that used to be built in for Temple Program and
+// Damodara into an ordinary "Lamps Offered" field of those categories: the
+// field is added to the categories, `lamps` on reports moves into their
+// `fields` map, and lamps targets count the field. The impact aggregates are
+// rebuilt afterwards. Super admins only; run once.
+export async function migrateLampsToCategoryFields() {
+    const actor = await requirePermission(null, 'categories.manage', null, 'Only super admins can migrate categories');
+    const lampsField = { key: 'lamps', label: 'Lamps Offered', type: 'number', unit: 'lamps', summed: true };
+
+    const [categoriesSnapshot, reportsSnapshot, targetsSnapshot] = await Promise.all([
+        getDocs(collection(db, 'preachingCategories')),
+        getDocs(collection(db, 'activityReports')),
+        getDocs(query(collection(db, 'targets'), where('metric', '==', 'lamps')))
+    ]);
+
+    const writes = [];
+    const categoryIds = [];
+    categoriesSnapshot.forEach(categoryDoc => {
+        const data = categoryDoc.data();
+        const fields = getCategoryFields(data);
+        if (LEGACY_LAMP_CATEGORIES.includes(getCategoryName(data)) && !fields.some(field => field.key === 'lamps')) {
+            const updates = { fields: [...fields, lampsField], updatedAt: serverTimestamp() };
+            writes.push(batch => {
+                batch.update(categoryDoc.ref, updates);
+                queueAuditEntry(batch, actor.uid, 'category.update', { type: 'preachingCategories', id: categoryDoc.id },
+                    data, { ...data, ...updates });
+            });
+            categoryIds.push(categoryDoc.id);
+        }
+    });
+    const reportDocs = reportsSnapshot.docs.filter(reportDoc => 'lamps' in reportDoc.data());
+    reportDocs.forEach(reportDoc => {
+        const data = reportDoc.data();
+        writes.push(batch => batch.update(reportDoc.ref, {
+            // A report edited since may already have the field
+            'fields.lamps': data.fields?.lamps ?? (data.lamps || 0),
+            lamps: deleteField(),
+            updatedAt: serverTimestamp()
+        }));
+    });
+    targetsSnapshot.forEach(targetDoc => {
+        writes.push(batch => batch.update(targetDoc.ref, { metric: 'field:lamps', updatedAt: serverTimestamp() }));
+    });
+
+    // Firestore batches are limited to 500 writes; category updates add an audit entry each
+    for (let i = 0; i < writes.length; i += 250) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 250).forEach(write => write(batch));
+        await batch.commit();
+    }
+
+    await invalidateCachedDocuments('preachingCategories', categoryIds);
+    await expireCachedCollection('activityReports');
+    await rebuildImpactAggregates();
+
+    const result = { categories: categoryIds.length, reports: reportDocs.length, targets: targetsSnapshot.size };
+    console.log('Moved lamps to category fields:', result);
+    return result;
+}
+
+// Preaching Resources Functions
+
+// Search details of a resource: { tags, language, audience }. Values that are
+// not given are kept from the existing resource, or default to English for the
+// general public.
+function getResourceDetails(details, existing = {}) {
+    const language = details.language ?? existing.language ?? 'en';
+    const audience = details.audience ?? existing.audience ?? 'general';
+    if (!RESOURCE_LANGUAGES[language]) {
+        throw new Error(`Unknown language: ${language}`);
+    }
+    if (!RESOURCE_AUDIENCES[audience]) {
+        throw new Error(`Unknown audience: ${audience}`);
+    }
+    return { tags: normalizeTags(details.tags ?? existing.tags ?? []), language, audience };
+}
+
+// Upload resource file to Firebase Storage and save metadata to Firestore.
+// PDFs, images and videos also get a thumbnail of their first page or frame,
+// stored under resources/thumbnails/.
+// options: { tags, language, audience } describe the resource for search.
+// options: { resourceId, versionNote } uploads the file as a new version of an
+// existing resource instead. The resource keeps its ID, category and download
+// count; the previous file stays in Storage and is listed in `versions`.
+export async function uploadResource(file, category, title, description, userId, options = {}) {
+    const { resourceId = null, versionNote = '' } = options;
+    // Storage paths written so far, removed again if a later step fails
+    const uploadedPaths = [];
+    try {
+        // Validate inputs
+        if (!file) {
+            throw new Error('No file provided');
+        }
+        if (!category && !resourceId) {
+            throw new Error('Category is required');
+        }
+        if (!title) {
+            throw new Error('Title is required');
+        }
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        await requirePermission(userId, 'resources.upload', { uploadedBy: userId }, 'Only admins can upload resources');
+
+        let existing = null;
+        if (resourceId) {
+            const existingSnap = await getDoc(doc(db, 'preachingResources', resourceId));
+            if (!existingSnap.exists() || existingSnap.data().isActive === false) {
+                throw new Error('Resource not found');
+            }
+            existing = existingSnap.data();
+            await requirePermission(userId, 'resources.update', existing, 'Only admins can update resources');
+            // A new version stays in the resource's category
+            category = existing.category;
+        }
+        const details = getResourceDetails(options, existing || {});
+
+        // Validate file size (50MB limit for resources)
+        if (file.size > 50 * 1024 * 1024) {
+            throw new Error('File size exceeds 50MB limit');
+        }
+
+        // A failed thumbnail never stops the upload; the card shows the file icon instead
+        let thumbnail = null;
+        try {
+            thumbnail = await createResourceThumbnail(file);
+        } catch (error) {
+            console.warn('Could not make a thumbnail for the resource:', error);
+        }
+
+        // Create a unique filename
+        const timestamp = Date.now();
+        const fileExtension = file.name.split('.').pop().toLowerCase();
+        const baseName = file.name.replace(/\.[^/.]+$/, '');
+        const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9\s]/g, '_');
+        const filename = `${category}/${timestamp}_${sanitizedBaseName}.${fileExtension}`;
+
+        // Upload file to Firebase Storage. The uploader is recorded on the
+        // file so the Storage rules can check it.
+        const storageRef = ref(storage, `resources/${filename}`);
+        await uploadBytes(storageRef, file, { customMetadata: { uploadedBy: userId } });
+        uploadedPaths.push(storageRef.fullPath);
+        const downloadURL = await getDownloadURL(storageRef);
+
+        const thumbnailData = { thumbnailUrl: null, thumbnailFilename: null };
+        if (thumbnail) {
+            const thumbnailFilename = `thumbnails/${category}/${timestamp}_${sanitizedBaseName}.${thumbnail.extension}`;
+            const thumbnailRef = ref(storage, `resources/${thumbnailFilename}`);
+            await uploadBytes(thumbnailRef, thumbnail.blob, {
+                contentType: thumbnail.type,
+                customMetadata: { uploadedBy: userId }
+            });
+            uploadedPaths.push(thumbnailRef.fullPath);
+            thumbnailData.thumbnailUrl = await getDownloadURL(thumbnailRef);
+            thumbnailData.thumbnailFilename = thumbnailFilename;
+        }
+
+        if (existing) {
+            return await saveResourceVersion(resourceId, existing, {
+                title,
+                description: description || '',
+                ...details,
+                url: downloadURL,
+                filename,
+                originalName: file.name,
+                size: file.size,
+                type: file.type,
+                fileExtension: fileExtension.toUpperCase(),
+                ...thumbnailData
+            }, versionNote, userId);
+        }
+        
+        // Save resource metadata to Firestore
+        const resourceData = {
+            title: title,
+            description: description || '',
+            category: category, // 'books', 'presentations', 'videos', 'templates'
+            ...details,
+            url: downloadURL,
+            filename: filename,
+            originalName: file.name,
+            size: file.size,
+            type: file.type,
+            fileExtension: fileExtension.toUpperCase(),
+            ...thumbnailData,
+            uploadedBy: userId,
+            uploadedAt: new Date().toISOString(),
+            createdAt: serverTimestamp(),
+            downloads: 0,
+            previews: 0,
+            version: 1,
+            versionNote: '',
+            versions: [],
+            isActive: true
+        };
+
+        const docRef = doc(collection(db, 'preachingResources'));
+        const batch = writeBatch(db);
+        batch.set(docRef, resourceData);
+        queueAuditEntry(batch, userId, 'resource.upload', { type: 'preachingResources', id: docRef.id }, null, resourceData);
+        await batch.commit();
+
+        console.log('Resource uploaded with ID:', docRef.id);
+        return {
+            id: docRef.id,
+            ...resourceData,
+            createdAt: new Date()
+        };
+        
+    } catch (error) {
+        console.error('Error uploading resource:', error);
+        // Remove the stored files so a failed upload doesn't leave orphans behind
+        await Promise.all(uploadedPaths.map(path => deleteObject(ref(storage, path)).catch(() => {})));
+        throw Object.assign(new Error(`Upload failed: ${error.message}`), { code: error.code });
+    }
+}
+
+// File fields that change with each version of a resource
+const RESOURCE_VERSION_FIELDS = ['url', 'filename', 'originalName', 'size', 'type', 'fileExtension', 'thumbnailUrl', 'thumbnailFilename'];
+
+// Make an uploaded file the current version of a resource. The version it
+// replaces is added to the front of `versions` with its file details, notes,
+// uploader and date. Resources uploaded before versioning count as version 1.
+async function saveResourceVersion(resourceId, existing, fileData, versionNote, userId) {
+    const previous = { version: existing.version || 1, note: existing.versionNote || '' };
+    RESOURCE_VERSION_FIELDS.forEach(field => {
+        previous[field] = existing[field] ?? null;
+    });
+    previous.uploadedBy = existing.versionUploadedBy || existing.uploadedBy || null;
+    previous.uploadedAt = existing.versionUploadedAt || existing.uploadedAt || null;
+
+    const now = new Date().toISOString();
+    const updates = {
+        ...fileData,
+        version: previous.version + 1,
+        versionNote: (versionNote || '').trim(),
+        versionUploadedBy: userId,
+        versionUploadedAt: now,
+        versions: [previous, ...(existing.versions || [])],
+        updatedAt: now
+    };
+
+    const resourceRef = doc(db, 'preachingResources', resourceId);
+    const batch = writeBatch(db);
+    batch.update(resourceRef, updates);
+    queueAuditEntry(batch, userId, 'resource.version', { type: 'preachingResources', id: resourceId },
+        existing, { ...existing, ...updates });
+    await batch.commit();
+
+    console.log(`✓ Resource ${resourceId} updated to version ${updates.version}`);
+    return { id: resourceId, ...existing, ...updates };
+}
+
+// Edit the title, description and search details of a resource without
+// uploading a new file. details: { title, description, tags, language, audience }
+export async function updateResourceDetails(resourceId, details, userId) {
+    try {
+        const resourceRef = doc(db, 'preachingResources', resourceId);
+        const existingSnap = await getDoc(resourceRef);
+        if (!existingSnap.exists() || existingSnap.data().isActive === false) {
+            throw new Error('Resource not found');
+        }
+        const existing = existingSnap.data();
+        await requirePermission(userId, 'resources.update', existing, 'Only admins can update resources');
+
+        const title = (details.title ?? existing.title ?? '').trim();
+        if (!title) {
+            throw new Error('Title is required');
+        }
+        const updates = {
+            title,
+            description: (details.description ?? existing.description ?? '').trim(),
+            ...getResourceDetails(details, existing),
+            updatedAt: new Date().toISOString()
+        };
+
+        const batch = writeBatch(db);
+        batch.update(resourceRef, updates);
+        queueAuditEntry(batch, userId, 'resource.update', { type: 'preachingResources', id: resourceId },
+            existing, { ...existing, ...updates });
+        await batch.commit();
+
+        console.log('Resource details updated:', resourceId);
+        return { id: resourceId, ...existing, ...updates };
+    } catch (error) {
+        console.error('Error updating resource details:', error);
+        throw error;
+    }
+}
+
+// Fetch resources by category
+export async function fetchResources(category = null) {
+    try {
+        console.log('=== FETCH RESOURCES START ===');
+        console.log('Requested category:', category);
+        
+        const resourcesRef = collection(db, 'preachingResources');
+        let q;
+        
+        if (category) {
+            q = query(resourcesRef, where('category', '==', category), where('isActive', '==', true));
+        } else {
+            q = query(resourcesRef, where('isActive', '==', true));
+        }
+        
+        const querySnapshot = await getDocs(q);
+        console.log('Query snapshot size:', querySnapshot.size);
+        
+        const resources = [];
+        querySnapshot.forEach((doc) => {
+            const data = doc.data();
+            resources.push({
+                id: doc.id,
+                ...data,
+                uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
+                formattedSize: formatFileSize(data.size || 0)
+            });
+        });
+        
+        // Sort by upload date (newest first)
+        resources.sort((a, b) => {
+            const dateA = a.createdAt?.toDate?.() || new Date(a.uploadedAt || 0);
+            const dateB = b.createdAt?.toDate?.() || new Date(b.uploadedAt || 0);
+            return dateB - dateA;
+        });
+        
+        console.log(`✓ Processed ${resources.length} resources for category '${category}'`);
+        console.log('=== FETCH RESOURCES END ===');
+        
+        return resources;
+    } catch (error) {
+        console.error('Error fetching resources:', error);
+        return [];
+    }
+}
+
+// Move a resource to the trash. It leaves the resource lists straight away;
+// its file is kept until the trash is purged (see purgeTrash), so `filename`
+// is no longer needed here.
+export async function deleteResource(resourceId, filename, userId = null) {
+    try {
+        const actor = await requirePermission(userId, 'resources.delete', null, 'Only admins can delete resources');
+
+        const resourceRef = doc(db, 'preachingResources', resourceId);
+        const resource = await getDoc(resourceRef);
+        if (!resource.exists()) {
+            throw new Error('Resource not found');
+        }
+
+        const updates = { isActive: false, deletedAt: new Date().toISOString(), deletedBy: actor.uid };
+        const batch = writeBatch(db);
+        batch.update(resourceRef, updates);
+        queueAuditEntry(batch, actor.uid, 'resource.delete', { type: 'preachingResources', id: resourceId },
+            resource.data(), { ...resource.data(), ...updates });
+        await batch.commit();
+        
+        console.log('Resource moved to trash:', resourceId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting resource:', error);
+        throw error;
+    }
+}
+
+// Increment download count for a resource and record the download with the
+// downloader's temple (see firebase-downloads.js). Pass kind 'preview' to count
+// a view in the preview window instead; previews are kept apart from downloads.
+// Visitors who are not signed in are counted too, with no temple; the rules
+// refuse anything but a +1.
+export async function incrementDownloadCount(resourceId, kind = 'download') {
+    try {
+        const resourceRef = doc(db, 'preachingResources', resourceId);
+        const now = new Date().toISOString();
+        if (kind === 'preview') {
+            await updateDoc(resourceRef, { previews: increment(1), lastPreviewed: now });
+        } else {
+            const batch = writeBatch(db);
+            batch.update(resourceRef, { downloads: increment(1), lastDownloaded: now });
+            await queueDownloadEvent(batch, resourceId);
+            await batch.commit();
+        }
+        
+        console.log(`${kind === 'preview' ? 'Preview' : 'Download'} count incremented for resource:`, resourceId);
+        return true;
+    } catch (error) {
+        console.error('Error incrementing download count:', error);
+        return false;
+    }
+}
+
+// Format file size for display
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+// Real-time listener for resources
+export function listenToResources(category, callback) {
+    try {
+        console.log(`Setting up real-time listener for resources category: ${category}`);
+        const resourcesRef = collection(db, 'preachingResources');
+        let q;
+        
+        if (category) {
+            q = query(resourcesRef, where('category', '==', category), where('isActive', '==', true));
+        } else {
+            q = query(resourcesRef, where('isActive', '==', true));
+        }
+        
+        return onSnapshot(q, (querySnapshot) => {
+            console.log(`Real-time update: ${querySnapshot.size} resources found for category '${category}'`);
+            const resources = [];
+            querySnapshot.forEach((doc) => {
+                const data = doc.data();
+                resources.push({
+                    id: doc.id,
+                    ...data,
+                    uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
+                    formattedSize: formatFileSize(data.size || 0)
+                });
+            });
+            
+            // Sort by upload date (newest first)
+            resources.sort((a, b) => {
+                const dateA = a.createdAt?.toDate?.() || new Date(a.uploadedAt || 0);
+                const dateB = b.createdAt?.toDate?.() || new Date(b.uploadedAt || 0);
+                return dateB - dateA;
+            });
+            
+            console.log(`Calling callback with ${resources.length} sorted resources`);
+            callback(resources);
+        }, (error) => {
+            console.error('Real-time listener error for resources:', error);
+            // Fallback to manual fetch
+            fetchResources(category).then(resources => {
+                callback(resources);
+            }).catch(fetchError => {
+                console.error('Manual fallback fetch failed:', fetchError);
+                callback([]);
+            });
+        });
+    } catch (error) {
+        console.error('Error setting up resources listener:', error);
+        return null;
+    }
+}
+
+// Fetch single activity report with full details
+export async function fetchSingleActivityReport(reportId) {
+    try {
+        const reportRef = doc(db, 'activityReports', reportId);
+        const reportSnap = await getDoc(reportRef);
+        
+        if (reportSnap.exists()) {
+            return {
+                id: reportSnap.id,
+                ...reportSnap.data()
+            };
+        } else {
+            console.log('No such report found!');
+            return null;
+        }
+    } catch (error) {
+        console.error('Error fetching single activity report:', error);
+        return null;
+    }
+}
+
+// Clear cache (useful for manual refresh)
+export async function clearCache() {
+    await clearCollectionCache();
+}
+
+// Gallery Image Functions
+
+// Upload a file with a resumable upload, reporting the bytes sent so far.
+// The upload task is passed to onTask so callers can pause, resume or cancel it.
+function uploadResumable(storageRef, data, metadata, { onBytes, onTask } = {}) {
+    return new Promise((resolve, reject) => {
+        const task = uploadBytesResumable(storageRef, data, metadata);
+        onTask?.(task);
+        task.on('state_changed',
+            snapshot => onBytes?.(snapshot.bytesTransferred),
+            reject,
+            () => resolve(task.snapshot)
+        );
+    });
+}
+
+// Resize an image in the browser, upload its sizes to Firebase Storage and
+// save metadata to Firestore.
+// options: { albumId, onStage('resizing' | 'uploading' | 'saving'), onProgress(fraction 0-1), onTask(uploadTask) }
+export async function uploadGalleryImage(file, category, title, userId, options = {}) {
+    const { albumId = null, onStage, onProgress, onTask } = options;
+    try {
+        console.log('=== UPLOAD PROCESS START ===');
+        console.log('Upload parameters:', { 
+            fileName: file.name, 
+            fileSize: file.size, 
+            fileType: file.type, 
+            category, 
+            title, 
+            userId 
+        });
+
+        // Validate inputs
+        if (!file) {
+            console.error('Validation failed: No file provided');
+            throw new Error('No file provided');
+        }
+        if (!category) {
+            console.error('Validation failed: Category is required');
+            throw new Error('Category is required');
+        }
+        if (!userId) {
+            console.error('Validation failed: User ID is required');
+            throw new Error('User ID is required');
+        }
+        const actor = await requirePermission(userId, 'gallery.upload', { uploadedBy: userId }, 'You cannot upload gallery images');
+
+        // Validate the file; large photos are accepted and resized below
+        const fileError = validateImageFile(file);
+        if (fileError) {
+            console.error('Validation failed:', fileError, file.type, file.size);
+            throw new Error(fileError);
+        }
+
+        console.log('✓ All validations passed');
+
+        // Downscale and re-encode in the browser. GIFs are stored unchanged so
+        // they keep their animation.
+        const timestamp = Date.now();
+        const baseName = file.name.replace(/\.[^/.]+$/, ''); // Remove extension
+        const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9]/g, '_'); // Replace all non-alphanumeric with underscore
+        let sizes;
+        if (isUnprocessedImage(file)) {
+            sizes = { full: { blob: file, size: file.size, type: file.type, extension: file.name.split('.').pop().toLowerCase() } };
+        } else {
+            console.log('Resizing image...');
+            onStage?.('resizing');
+            const processed = await processImage(file);
+            sizes = processed.variants;
+            console.log('✓ Image resized:', Object.fromEntries(
+                Object.entries(sizes).map(([name, variant]) => [name, `${variant.width}x${variant.height}, ${formatFileSize(variant.size)}`])
+            ));
+        }
+
+        // Upload every size to Firebase Storage, next to each other
+        const uploaded = {};
+        const totalBytes = Object.values(sizes).reduce((sum, variant) => sum + variant.size, 0);
+        let bytesDone = 0;
+        onStage?.('uploading');
+        onProgress?.(0);
+        try {
+            for (const [name, variant] of Object.entries(sizes)) {
+                const suffix = name === 'full' ? '' : `_${name}`;
+                const variantFilename = `${category}/${timestamp}_${sanitizedBaseName}${suffix}.${variant.extension}`;
+                const storageRef = ref(storage, `gallery/${variantFilename}`);
+                console.log(`Uploading ${name} image to gallery/${variantFilename}...`);
+                // The uploader is recorded on the file so the Storage rules can check it
+                await uploadResumable(storageRef, variant.blob, {
+                    contentType: variant.type,
+                    customMetadata: { uploadedBy: userId }
+                }, {
+                    onTask,
+                    onBytes: bytes => onProgress?.(totalBytes ? (bytesDone + bytes) / totalBytes : 1)
+                });
+                bytesDone += variant.size;
+                uploaded[name] = {
+                    url: await getDownloadURL(storageRef),
+                    filename: variantFilename,
+                    size: variant.size,
+                    ...(variant.width ? { width: variant.width, height: variant.height } : {})
+                };
+            }
+            console.log('✓ Upload to Storage successful');
+        } catch (storageError) {
+            console.error('❌ Storage upload failed:', {
+                error: storageError.message,
+                code: storageError.code,
+                details: storageError
+            });
+            // Don't leave some sizes of a half-uploaded image behind
+            await Promise.all(Object.values(uploaded).map(variant =>
+                deleteObject(ref(storage, `gallery/${variant.filename}`)).catch(() => {})
+            ));
+            throw new Error(`Storage upload failed: ${storageError.message}`);
+        }
+        
+        // Save image metadata to Firestore. url/filename/size describe the full
+        // size image; `variants` holds the smaller sizes for grids and cards.
+        const { full, ...variants } = uploaded;
+        const imageData = {
+            title: title || sanitizedBaseName,
+            category: category, // 'mission' or 'activities'
+            url: full.url,
+            filename: full.filename,
+            originalName: file.name,
+            originalSize: file.size,
+            size: full.size,
+            type: sizes.full.type,
+            ...(full.width ? { width: full.width, height: full.height } : {}),
+            variants,
+            albumId,
+            // Uploads wait for a moderator before they are public, unless the
+            // uploader moderates their temple's images themselves
+            status: hasPermission(actor, 'gallery.moderate', { temple: actor.temple || null }) ? 'approved' : 'pending',
+            temple: actor.temple || null,
+            uploadedBy: userId,
+            uploadedAt: new Date().toISOString(),
+            createdAt: serverTimestamp(),
+            date: new Date().toISOString().split('T')[0]
+        };
+        
+        console.log('Saving metadata to Firestore:', imageData);
+        onStage?.('saving');
+        try {
+            const docRef = doc(collection(db, 'galleryImages'));
+            const batch = writeBatch(db);
+            batch.set(docRef, imageData);
+            queueAuditEntry(batch, userId, 'gallery.upload', { type: 'galleryImages', id: docRef.id }, null, imageData);
+            await batch.commit();
+            console.log('✓ Metadata saved successfully with ID:', docRef.id);
+            
+            console.log('=== UPLOAD PROCESS COMPLETE ===');
+            return {
+                id: docRef.id,
+                ...imageData,
+                createdAt: new Date() // For immediate display
+            };
+        } catch (firestoreError) {
+            console.error('❌ Firestore save failed:', firestoreError);
+            // Remove the stored files so a retry doesn't leave orphans behind
+            await Promise.all(Object.values(uploaded).map(variant =>
+                deleteObject(ref(storage, `gallery/${variant.filename}`)).catch(() => {})
+            ));
+            throw Object.assign(new Error(`Failed to save metadata: ${firestoreError.message}`), { code: firestoreError.code });
+        }
+        
+    } catch (error) {
+        console.error('=== UPLOAD PROCESS FAILED ===');
+        console.error('Detailed error uploading gallery image:', {
+            error: error.message,
+            code: error.code,
+            stack: error.stack,
+            file: file ? { name: file.name, size: file.size, type: file.type } : 'No file',
+            category,
+            userId
+        });
+        // Keep the code so the offline queue can tell a dropped connection from a real failure
+        throw Object.assign(new Error(`Upload failed: ${error.message}`), { code: error.code });
+    }
+}
+
+// URL of a gallery image at the given size ('small', 'medium' or 'full').
+// Images uploaded before resizing was added only have the full size.
+export function getGalleryImageUrl(image, size = 'medium') {
+    return image.variants?.[size]?.url || image.url;
+}
+
+// Only approved images are public. Uploaders can also read their own images
+// while they wait for moderation, or after they were rejected.
+function ownGalleryImagesQuery(category, userId) {
+    const constraints = [where('uploadedBy', '==', userId)];
+    if (category) {
+        constraints.push(where('category', '==', category));
+    }
+    return query(collection(db, 'galleryImages'), ...constraints);
+}
+
+// Add the user's own unapproved uploads to a list of approved images, newest first
+function mergeOwnGalleryImages(approved, ownDocs) {
+    const own = ownDocs
+        .filter(doc => !['approved', 'deleted'].includes(doc.data().status))
+        .map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+            date: doc.data().createdAt?.toDate?.()?.toISOString().split('T')[0] || doc.data().date || 'N/A'
+        }));
+    return [...approved, ...own].sort((a, b) => {
+        const dateA = a.createdAt?.toDate?.() || new Date(a.uploadedAt || 0);
+        const dateB = b.createdAt?.toDate?.() || new Date(b.uploadedAt || 0);
+        return dateB - dateA;
+    });
+}
+
+// Fetch approved gallery images by category.
+// options: { includeOwn } also returns the signed-in user's unapproved uploads
+export async function fetchGalleryImages(category = null, options = {}) {
+    try {
+        console.log('=== FETCH GALLERY IMAGES START ===');
+        console.log('Requested category:', category);
+        
+        const imagesRef = collection(db, 'galleryImages');
+        console.log('Collection reference created:', imagesRef);
+        
+        let q;
+        let querySnapshot;
+        
+        if (category) {
+            console.log('Creating query with category filter:', category);
+            
+            // First try with orderBy (requires index)
+            try {
+                console.log('Attempting query with orderBy...');
+                q = query(imagesRef, where('category', '==', category), where('status', '==', 'approved'), orderBy('createdAt', 'desc'));
+                querySnapshot = await getDocs(q);
+                console.log('✓ Query with orderBy successful');
+            } catch (queryError) {
+                console.warn('❌ Query with orderBy failed (likely missing index):', queryError.message);
+                
+                // Fallback: try without orderBy
+                try {
+                    console.log('Trying fallback query without orderBy...');
+                    q = query(imagesRef, where('category', '==', category), where('status', '==', 'approved'));
+                    querySnapshot = await getDocs(q);
+                    console.log('✓ Fallback query without orderBy successful');
+                } catch (fallbackError) {
+                    console.error('❌ Even fallback query failed:', fallbackError);
+                    throw fallbackError;
+                }
+            }
+        } else {
+            console.log('Creating query for all images');
+            
+            // First try with orderBy
+            try {
+                console.log('Attempting query with orderBy...');
+                q = query(imagesRef, where('status', '==', 'approved'), orderBy('createdAt', 'desc'));
+                querySnapshot = await getDocs(q);
+                console.log('✓ Query with orderBy successful');
+            } catch (queryError) {
+                console.warn('❌ Query with orderBy failed:', queryError.message);
+                
+                // Fallback: simple query without orderBy
+                try {
+                    console.log('Trying fallback query without orderBy...');
+                    q = query(imagesRef, where('status', '==', 'approved'));
+                    querySnapshot = await getDocs(q);
+                    console.log('✓ Fallback query without orderBy successful');
+                } catch (fallbackError) {
+                    console.error('❌ Even fallback query failed:', fallbackError);
+                    throw fallbackError;
+                }
+            }
+        }
+        
+        console.log('✓ Query executed successfully');
+        console.log('Query snapshot size:', querySnapshot.size);
+        console.log('Query snapshot empty:', querySnapshot.empty);
+        
+        if (querySnapshot.empty) {
+            console.log('⚠️ No documents found in galleryImages collection');
+            if (category) {
+                console.log(`⚠️ No images found for category: ${category}`);
+            }
+        }
+        
+        const images = [];
+        querySnapshot.forEach((doc) => {
+            const data = doc.data();
+            console.log('Processing document:', { 
+                id: doc.id, 
+                category: data.category,
+                title: data.title,
+                url: data.url ? 'URL present' : 'NO URL',
+                createdAt: data.createdAt ? 'Timestamp present' : 'NO TIMESTAMP'
+            });
+            
+            images.push({
+                id: doc.id,
+                ...data,
+                // Convert Firestore timestamp to JavaScript Date for display
+                uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
+                date: data.createdAt?.toDate?.()?.toISOString().split('T')[0] || data.date || 'N/A'
+            });
+        });
+        
+        // Manual sorting if orderBy wasn't used (when we had to use fallback)
+        if (images.length > 1) {
+            console.log('Applying manual sorting by creation date...');
+            images.sort((a, b) => {
+                const dateA = a.createdAt?.toDate?.() || new Date(a.uploadedAt || 0);
+                const dateB = b.createdAt?.toDate?.() || new Date(b.uploadedAt || 0);
+                return dateB - dateA; // Descending order (newest first)
+            });
+            console.log('✓ Manual sorting applied');
+        }
+        
+        console.log(`✓ Processed ${images.length} images for category '${category}'`);
+        console.log('Sample image data:', images[0] || 'No images');
+        console.log('=== FETCH GALLERY IMAGES END ===');
+        
+        if (options.includeOwn && auth.currentUser) {
+            const ownSnapshot = await getDocs(ownGalleryImagesQuery(category, auth.currentUser.uid));
+            return mergeOwnGalleryImages(images, ownSnapshot.docs);
+        }
+        return images;
+    } catch (error) {
+        console.error('=== FETCH GALLERY IMAGES FAILED ===');
+        console.error('Error fetching gallery images:', {
+            error: error.message,
+            code: error.code,
+            stack: error.stack,
+            category
+        });
+        return [];
+    }
+}
+
+// Debug function to check all gallery images in database
+export async function debugGalleryImages() {
+    try {
+        console.log('=== DEBUGGING GALLERY IMAGES ===');
+        const imagesRef = collection(db, 'galleryImages');
+        const querySnapshot = await getDocs(query(imagesRef, where('status', '==', 'approved')));
+        
+        console.log('Total approved gallery images in database:', querySnapshot.size);
+        
+        const imagesByCategory = {};
+        querySnapshot.forEach((doc) => {
+            const data = doc.data();
+            const category = data.category || 'unknown';
+            
+            if (!imagesByCategory[category]) {
+                imagesByCategory[category] = [];
+            }
+            
+            imagesByCategory[category].push({
+                id: doc.id,
+                title: data.title,
+                category: data.category,
+                url: data.url,
+                filename: data.filename,
+                status: data.status,
+                uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || 'N/A'
+            });
+        });
+        
+        console.log('Images by category:', imagesByCategory);
+        
+        // Check specifically for activities category
+        const activitiesImages = imagesByCategory['activities'] || [];
+        console.log(`Found ${activitiesImages.length} images in 'activities' category:`, activitiesImages);
+        
+        return imagesByCategory;
+    } catch (error) {
+        console.error('Error debugging gallery images:', error);
+        return {};
+    }
+}
+
+// Move a gallery image to the trash. It is hidden everywhere straight away;
+// its files are kept until the trash is purged (see purgeTrash), so `filename`
+// is no longer needed here.
+export async function deleteGalleryImage(imageId, filename, userId = null) {
+    try {
+        const imageRef = doc(db, 'galleryImages', imageId);
+        const image = await getDoc(imageRef);
+        if (!image.exists()) {
+            throw new Error('Image not found');
+        }
+        const actor = await requirePermission(userId, 'gallery.delete', image.data(), 'You can only delete images you uploaded');
+
+        // The moderation status is kept so a restore puts the image back as it was
+        const updates = {
+            status: 'deleted',
+            statusBeforeDelete: image.data().status || null,
+            deletedAt: new Date().toISOString(),
+            deletedBy: actor.uid
+        };
+        const batch = writeBatch(db);
+        batch.update(imageRef, updates);
+        queueAuditEntry(batch, actor.uid, 'gallery.delete', { type: 'galleryImages', id: imageId },
+            image.data(), { ...image.data(), ...updates });
+        await batch.commit();
+        
+        console.log('Gallery image moved to trash:', imageId);
         return true;
     } catch (error) {
-        console.error('Error incrementing download count:', error);
-        return false;
+        console.error('Error deleting gallery image:', error);
+        throw error;
+    }
+}
+
+// Gallery Moderation Functions
+
+// Fetch the images waiting for review that the user may moderate, oldest first.
+// Coordinators see their own temple's uploads, admins everyone's.
+export async function fetchPendingGalleryImages(userId) {
+    const actor = await requirePermission(userId, 'gallery.moderate', null, 'You cannot moderate gallery images');
+    try {
+        const constraints = [where('status', '==', 'pending')];
+        if (!isAdminRole(actor.role)) {
+            constraints.push(where('temple', '==', actor.temple || null));
+        }
+        const querySnapshot = await getDocs(query(collection(db, 'galleryImages'), ...constraints));
+        const images = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        images.sort((a, b) => (a.uploadedAt || '').localeCompare(b.uploadedAt || ''));
+        return images;
+    } catch (error) {
+        console.error('Error fetching pending gallery images:', error);
+        return [];
     }
 }
 
-// Format file size for display
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+// Load an image and check that the user may moderate it
+async function requireImageModeration(imageId, userId) {
+    const imageRef = doc(db, 'galleryImages', imageId);
+    const image = await getDoc(imageRef);
+    if (!image.exists()) {
+        throw new Error('Image not found');
+    }
+    const actor = await requirePermission(userId, 'gallery.moderate', image.data(), 'You cannot moderate this image');
+    return { actor, imageRef, image: image.data() };
 }
 
-// Real-time listener for resources
-export function listenToResources(category, callback) {
+// Approve or reject an image. Rejected images stay visible to their uploader
+// with the reason given.
+export async function moderateGalleryImage(imageId, decision, userId, reason = '') {
     try {
-        console.log(`Setting up real-time listener for resources category: ${category}`);
-        const resourcesRef = collection(db, 'preachingResources');
-        let q;
-        
-        if (category) {
-            q = query(resourcesRef, where('category', '==', category), where('isActive', '==', true));
-        } else {
-            q = query(resourcesRef, where('isActive', '==', true));
+        if (!['approved', 'rejected'].includes(decision)) {
+            throw new Error('Decision must be approved or rejected');
         }
-        
-        return onSnapshot(q, (querySnapshot) => {
-            console.log(`Real-time update: ${querySnapshot.size} resources found for category '${category}'`);
-            const resources = [];
-            querySnapshot.forEach((doc) => {
-                const data = doc.data();
-                resources.push({
-                    id: doc.id,
-                    ...data,
-                    uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
-                    formattedSize: formatFileSize(data.size || 0)
-                });
-            });
-            
-            // Sort by upload date (newest first)
-            resources.sort((a, b) => {
-                const dateA = a.createdAt?.toDate?.() || new Date(a.uploadedAt || 0);
-                const dateB = b.createdAt?.toDate?.() || new Date(b.uploadedAt || 0);
-                return dateB - dateA;
-            });
-            
-            console.log(`Calling callback with ${resources.length} sorted resources`);
-            callback(resources);
-        }, (error) => {
-            console.error('Real-time listener error for resources:', error);
-            // Fallback to manual fetch
-            fetchResources(category).then(resources => {
-                callback(resources);
-            }).catch(fetchError => {
-                console.error('Manual fallback fetch failed:', fetchError);
-                callback([]);
-            });
-        });
+        const { actor, imageRef, image } = await requireImageModeration(imageId, userId);
+
+        const updates = {
+            status: decision,
+            moderatedBy: actor.uid,
+            moderatedAt: new Date().toISOString(),
+            rejectionReason: decision === 'rejected' ? (reason || '').trim() : null
+        };
+        const batch = writeBatch(db);
+        batch.update(imageRef, updates);
+        queueAuditEntry(batch, actor.uid, decision === 'approved' ? 'gallery.approve' : 'gallery.reject',
+            { type: 'galleryImages', id: imageId }, image, { ...image, ...updates });
+        await batch.commit();
+
+        console.log(`Gallery image ${decision}:`, imageId);
+        return true;
     } catch (error) {
-        console.error('Error setting up resources listener:', error);
-        return null;
+        console.error('Error moderating gallery image:', error);
+        throw error;
     }
 }
 
-// Fetch single activity report with full details
-export async function fetchSingleActivityReport(reportId) {
+// Correct an image's caption during moderation
+export async function updateGalleryImageTitle(imageId, title, userId) {
     try {
-        const reportRef = doc(db, 'activityReports', reportId);
-        const reportSnap = await getDoc(reportRef);
-        
-        if (reportSnap.exists()) {
-            return {
-                id: reportSnap.id,
-                ...reportSnap.data()
-            };
-        } else {
-            console.log('No such report found!');
-            return null;
+        const caption = (title || '').trim();
+        if (!caption) {
+            throw new Error('Caption is required');
         }
+        const { actor, imageRef, image } = await requireImageModeration(imageId, userId);
+
+        const batch = writeBatch(db);
+        batch.update(imageRef, { title: caption });
+        queueAuditEntry(batch, actor.uid, 'gallery.caption', { type: 'galleryImages', id: imageId }, image, { ...image, title: caption });
+        await batch.commit();
+
+        console.log('Gallery image caption updated:', imageId);
+        return true;
     } catch (error) {
-        console.error('Error fetching single activity report:', error);
-        return null;
+        console.error('Error updating gallery image caption:', error);
+        throw error;
     }
 }
 
-// Clear cache (useful for manual refresh)
-export function clearCache() {
-    dataCache = {
-        activityReports: null,
-        preachingCategories: null,
-        users: null,
-        lastFetch: null
-    };
+// Approve every image uploaded before moderation was introduced. Those have no
+// status and are hidden from the public gallery until this runs once.
+export async function approveExistingGalleryImages() {
+    const actor = await requirePermission(null, 'gallery.manage', null, 'Only admins can approve existing images');
+
+    const querySnapshot = await getDocs(collection(db, 'galleryImages'));
+    const unreviewed = querySnapshot.docs.filter(imageDoc => !imageDoc.data().status);
+    // Two writes per image (the image and its audit entry); a batch holds 500
+    for (let i = 0; i < unreviewed.length; i += 200) {
+        const batch = writeBatch(db);
+        unreviewed.slice(i, i + 200).forEach(imageDoc => {
+            const updates = { status: 'approved', moderatedBy: actor.uid, moderatedAt: new Date().toISOString() };
+            batch.update(imageDoc.ref, updates);
+            queueAuditEntry(batch, actor.uid, 'gallery.approve', { type: 'galleryImages', id: imageDoc.id }, imageDoc.data(), { ...imageDoc.data(), ...updates });
+        });
+        await batch.commit();
+    }
+
+    console.log(`Approved ${unreviewed.length} existing gallery images`);
+    return unreviewed.length;
 }
 
-// Gallery Image Functions
+// Trash Functions
+
+// Deleted resources and gallery images can be restored for this many days.
+// After that purgeTrash removes their files and documents for good.
+export const TRASH_RETENTION_DAYS = 30;
 
-// Upload image to Firebase Storage and save metadata to Firestore
-export async function uploadGalleryImage(file, category, title, userId) {
+// Date after which a trashed item may be purged
+export function getPurgeDate(deletedAt) {
+    const date = new Date(deletedAt);
+    date.setDate(date.getDate() + TRASH_RETENTION_DAYS);
+    return date;
+}
+
+// Fetch everything in the trash, most recently deleted first (admins only).
+// Returns { resources, images }.
+export async function fetchTrash(userId) {
+    await requirePermission(userId, 'trash.manage', null, 'Only admins can view the trash');
     try {
-        console.log('=== UPLOAD PROCESS START ===');
-        console.log('Upload parameters:', { 
-            fileName: file.name, 
-            fileSize: file.size, 
-            fileType: file.type, 
-            category, 
-            title, 
-            userId 
-        });
+        const [resourcesSnapshot, imagesSnapshot] = await Promise.all([
+            getDocs(query(collection(db, 'preachingResources'), where('isActive', '==', false))),
+            getDocs(query(collection(db, 'galleryImages'), where('status', '==', 'deleted')))
+        ]);
+        const byDeletedAt = (a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || '');
+        return {
+            resources: resourcesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort(byDeletedAt),
+            images: imagesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort(byDeletedAt)
+        };
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        return { resources: [], images: [] };
+    }
+}
 
-        // Validate inputs
-        if (!file) {
-            console.error('Validation failed: No file provided');
-            throw new Error('No file provided');
-        }
-        if (!category) {
-            console.error('Validation failed: Category is required');
-            throw new Error('Category is required');
-        }
-        if (!userId) {
-            console.error('Validation failed: User ID is required');
-            throw new Error('User ID is required');
+// Put a trashed resource back in the resource lists
+export async function restoreResource(resourceId, userId) {
+    try {
+        const actor = await requirePermission(userId, 'trash.manage', null, 'Only admins can restore from the trash');
+        const resourceRef = doc(db, 'preachingResources', resourceId);
+        const resource = await getDoc(resourceRef);
+        if (!resource.exists() || resource.data().isActive !== false) {
+            throw new Error('Resource is not in the trash');
         }
 
-        // Validate file size (5MB limit)
-        if (file.size > 5 * 1024 * 1024) {
-            console.error('Validation failed: File size exceeds 5MB limit', file.size);
-            throw new Error('File size exceeds 5MB limit');
-        }
+        const updates = { isActive: true, deletedAt: null, deletedBy: null };
+        const batch = writeBatch(db);
+        batch.update(resourceRef, updates);
+        queueAuditEntry(batch, actor.uid, 'resource.restore', { type: 'preachingResources', id: resourceId },
+            resource.data(), { ...resource.data(), ...updates });
+        await batch.commit();
+
+        console.log('Resource restored:', resourceId);
+        return true;
+    } catch (error) {
+        console.error('Error restoring resource:', error);
+        throw error;
+    }
+}
 
-        // Validate file type
-        if (!file.type.startsWith('image/')) {
-            console.error('Validation failed: File must be an image', file.type);
-            throw new Error('File must be an image');
+// Put a trashed gallery image back with the moderation status it had.
+// Images deleted before they had a status go back for review.
+export async function restoreGalleryImage(imageId, userId) {
+    try {
+        const actor = await requirePermission(userId, 'trash.manage', null, 'Only admins can restore from the trash');
+        const imageRef = doc(db, 'galleryImages', imageId);
+        const image = await getDoc(imageRef);
+        if (!image.exists() || image.data().status !== 'deleted') {
+            throw new Error('Image is not in the trash');
         }
 
-        console.log('✓ All validations passed');
+        const updates = {
+            status: image.data().statusBeforeDelete || 'pending',
+            statusBeforeDelete: null,
+            deletedAt: null,
+            deletedBy: null
+        };
+        const batch = writeBatch(db);
+        batch.update(imageRef, updates);
+        queueAuditEntry(batch, actor.uid, 'gallery.restore', { type: 'galleryImages', id: imageId },
+            image.data(), { ...image.data(), ...updates });
+        await batch.commit();
 
-        // Create a unique filename with better sanitization
-        const timestamp = Date.now();
-        const fileExtension = file.name.split('.').pop().toLowerCase();
-        const baseName = file.name.replace(/\.[^/.]+$/, ''); // Remove extension
-        const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9]/g, '_'); // Replace all non-alphanumeric with underscore
-        const filename = `${category}/${timestamp}_${sanitizedBaseName}.${fileExtension}`;
-        
-        console.log('Generated filename:', filename);
-        console.log('Full storage path:', `gallery/${filename}`);
-        
-        // Test storage reference creation
-        console.log('Creating storage reference...');
-        const storageRef = ref(storage, `gallery/${filename}`);
-        console.log('Storage reference created:', storageRef);
-        
-        // Upload file to Firebase Storage with detailed logging
-        console.log('Starting Firebase Storage upload...');
+        console.log('Gallery image restored:', imageId);
+        return true;
+    } catch (error) {
+        console.error('Error restoring gallery image:', error);
+        throw error;
+    }
+}
+
+// Delete a stored file, treating one that is already gone as deleted
+async function deleteStoredFile(path) {
+    try {
+        await deleteObject(ref(storage, path));
+    } catch (error) {
+        if (error.code !== 'storage/object-not-found') {
+            throw error;
+        }
+    }
+}
+
+// Permanently remove trashed items older than TRASH_RETENTION_DAYS: their
+// files in Storage first, then their documents. An item whose files can't be
+// deleted stays in the trash for the next purge.
+// Returns { resources, images, failed } counts.
+export async function purgeTrash(userId, now = new Date()) {
+    const actor = await requirePermission(userId, 'trash.manage', null, 'Only admins can empty the trash');
+    const { resources, images } = await fetchTrash(actor.uid);
+    const isExpired = item => item.deletedAt && getPurgeDate(item.deletedAt) <= now;
+    const result = { resources: 0, images: 0, failed: 0 };
+
+    for (const resource of resources.filter(isExpired)) {
         try {
-            const snapshot = await uploadBytes(storageRef, file);
-            console.log('✓ Upload to Storage successful:', snapshot);
-        } catch (storageError) {
-            console.error('❌ Storage upload failed:', {
-                error: storageError.message,
-                code: storageError.code,
-                details: storageError
-            });
-            throw new Error(`Storage upload failed: ${storageError.message}`);
+            const files = [resource, ...(resource.versions || [])]
+                .flatMap(version => [version.filename, version.thumbnailFilename]);
+            await Promise.all(files.filter(Boolean).map(filename => deleteStoredFile(`resources/${filename}`)));
+            const batch = writeBatch(db);
+            batch.delete(doc(db, 'preachingResources', resource.id));
+            queueAuditEntry(batch, actor.uid, 'resource.purge', { type: 'preachingResources', id: resource.id }, resource, null);
+            await batch.commit();
+            result.resources++;
+        } catch (error) {
+            console.error('Error purging resource:', resource.id, error);
+            result.failed++;
         }
-        
-        // Get download URL
-        console.log('Getting download URL...');
-        let downloadURL;
+    }
+
+    for (const image of images.filter(isExpired)) {
         try {
-            downloadURL = await getDownloadURL(storageRef);
-            console.log('✓ Download URL obtained:', downloadURL);
-        } catch (urlError) {
-            console.error('❌ Failed to get download URL:', urlError);
-            throw new Error(`Failed to get download URL: ${urlError.message}`);
+            const files = [image.filename, ...Object.values(image.variants || {}).map(variant => variant.filename)];
+            await Promise.all(files.map(filename => deleteStoredFile(`gallery/${filename}`)));
+            const batch = writeBatch(db);
+            batch.delete(doc(db, 'galleryImages', image.id));
+            queueAuditEntry(batch, actor.uid, 'gallery.purge', { type: 'galleryImages', id: image.id }, image, null);
+            await batch.commit();
+            result.images++;
+        } catch (error) {
+            console.error('Error purging gallery image:', image.id, error);
+            result.failed++;
         }
-        
-        // Save image metadata to Firestore
-        const imageData = {
-            title: title || sanitizedBaseName,
-            category: category, // 'mission' or 'activities'
-            url: downloadURL,
-            filename: filename,
-            originalName: file.name,
-            size: file.size,
-            type: file.type,
-            uploadedBy: userId,
-            uploadedAt: new Date().toISOString(),
+    }
+
+    console.log('Trash purged:', result);
+    return result;
+}
+
+// Album Functions
+
+// Validate album form input: a named event with a date, a temple and an
+// optional link to the activity report for that outing
+async function validateAlbum(albumData) {
+    if (!albumData) {
+        throw new Error('No album data provided');
+    }
+
+    const name = (albumData.name || '').trim();
+    if (!name) {
+        throw new Error('Album name is required');
+    }
+    const date = (albumData.date || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        throw new Error('Please enter a valid event date');
+    }
+
+    const reportId = albumData.reportId || null;
+    if (reportId && !(await fetchSingleActivityReport(reportId))) {
+        throw new Error('Linked report not found');
+    }
+
+    return {
+        name,
+        date,
+        temple: (albumData.temple || '').trim() || null,
+        reportId,
+        description: (albumData.description || '').trim()
+    };
+}
+
+// Fetch all albums, latest event first
+export async function fetchAlbums() {
+    try {
+        const querySnapshot = await getDocs(collection(db, 'albums'));
+        const albums = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        albums.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+        return albums;
+    } catch (error) {
+        console.error('Error fetching albums:', error);
+        return [];
+    }
+}
+
+// Fetch a single album
+export async function fetchAlbum(albumId) {
+    try {
+        const albumSnap = await getDoc(doc(db, 'albums', albumId));
+        return albumSnap.exists() ? { id: albumSnap.id, ...albumSnap.data() } : null;
+    } catch (error) {
+        console.error('Error fetching album:', error);
+        return null;
+    }
+}
+
+// Fetch the approved images in an album, newest first
+export async function fetchAlbumImages(albumId) {
+    try {
+        const querySnapshot = await getDocs(query(
+            collection(db, 'galleryImages'),
+            where('albumId', '==', albumId),
+            where('status', '==', 'approved')
+        ));
+        const images = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        images.sort((a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || ''));
+        return images;
+    } catch (error) {
+        console.error('Error fetching album images:', error);
+        return [];
+    }
+}
+
+// Fetch the photos of an outing: the images in every album linked to the report
+export async function fetchReportImages(reportId) {
+    try {
+        const albumsSnapshot = await getDocs(query(collection(db, 'albums'), where('reportId', '==', reportId)));
+        const albums = albumsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const imageLists = await Promise.all(albums.map(album => fetchAlbumImages(album.id)));
+        return albums.map((album, index) => ({ album, images: imageLists[index] }));
+    } catch (error) {
+        console.error('Error fetching report images:', error);
+        return [];
+    }
+}
+
+// Create an album (any preacher, for their own outings)
+export async function createAlbum(albumData, userId) {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        const album = await validateAlbum(albumData);
+        await requirePermission(userId, 'albums.manage', { ...album, createdBy: userId }, 'You cannot create albums');
+
+        const docRef = await addDoc(collection(db, 'albums'), {
+            ...album,
+            coverImageId: null,
+            createdBy: userId,
             createdAt: serverTimestamp(),
-            date: new Date().toISOString().split('T')[0]
-        };
-        
-        console.log('Saving metadata to Firestore:', imageData);
-        try {
-            const docRef = await addDoc(collection(db, 'galleryImages'), imageData);
-            console.log('✓ Metadata saved successfully with ID:', docRef.id);
-            
-            console.log('=== UPLOAD PROCESS COMPLETE ===');
-            return {
-                id: docRef.id,
-                ...imageData,
-                createdAt: new Date() // For immediate display
-            };
-        } catch (firestoreError) {
-            console.error('❌ Firestore save failed:', firestoreError);
-            throw new Error(`Failed to save metadata: ${firestoreError.message}`);
+            updatedAt: serverTimestamp()
+        });
+
+        console.log('Album created with ID:', docRef.id);
+        return { id: docRef.id, ...album, coverImageId: null, createdBy: userId };
+    } catch (error) {
+        console.error('Error creating album:', error);
+        throw error;
+    }
+}
+
+// Update an album's details (its creator, their temple's coordinator, or an admin)
+export async function updateAlbum(albumId, albumData, userId) {
+    try {
+        const existing = await fetchAlbum(albumId);
+        if (!existing) {
+            throw new Error('Album not found');
         }
-        
+        await requirePermission(userId, 'albums.manage', existing, 'You cannot edit this album');
+        const album = await validateAlbum(albumData);
+
+        await updateDoc(doc(db, 'albums', albumId), {
+            ...album,
+            updatedAt: serverTimestamp()
+        });
+
+        console.log('Album updated:', albumId);
+        return { ...existing, ...album };
     } catch (error) {
-        console.error('=== UPLOAD PROCESS FAILED ===');
-        console.error('Detailed error uploading gallery image:', {
-            error: error.message,
-            code: error.code,
-            stack: error.stack,
-            file: file ? { name: file.name, size: file.size, type: file.type } : 'No file',
-            category,
-            userId
+        console.error('Error updating album:', error);
+        throw error;
+    }
+}
+
+// Choose which of an album's images is shown as its cover
+export async function setAlbumCover(albumId, imageId, userId) {
+    try {
+        const existing = await fetchAlbum(albumId);
+        if (!existing) {
+            throw new Error('Album not found');
+        }
+        await requirePermission(userId, 'albums.manage', existing, 'You cannot edit this album');
+
+        await updateDoc(doc(db, 'albums', albumId), {
+            coverImageId: imageId,
+            updatedAt: serverTimestamp()
         });
-        throw new Error(`Upload failed: ${error.message}`);
+
+        console.log('Album cover set:', albumId, imageId);
+        return true;
+    } catch (error) {
+        console.error('Error setting album cover:', error);
+        throw error;
     }
 }
 
-// Fetch gallery images by category
-export async function fetchGalleryImages(category = null) {
+// Delete an album. Its images stay in the gallery, no longer grouped; that
+// includes images still pending, rejected or in the trash, so none is left
+// pointing at the deleted album.
+export async function deleteAlbum(albumId, userId) {
     try {
-        console.log('=== FETCH GALLERY IMAGES START ===');
-        console.log('Requested category:', category);
-        
-        const imagesRef = collection(db, 'galleryImages');
-        console.log('Collection reference created:', imagesRef);
-        
-        let q;
-        let querySnapshot;
-        
-        if (category) {
-            console.log('Creating query with category filter:', category);
-            
-            // First try with orderBy (requires index)
-            try {
-                console.log('Attempting query with orderBy...');
-                q = query(imagesRef, where('category', '==', category), orderBy('createdAt', 'desc'));
-                querySnapshot = await getDocs(q);
-                console.log('✓ Query with orderBy successful');
-            } catch (queryError) {
-                console.warn('❌ Query with orderBy failed (likely missing index):', queryError.message);
-                
-                // Fallback: try without orderBy
-                try {
-                    console.log('Trying fallback query without orderBy...');
-                    q = query(imagesRef, where('category', '==', category));
-                    querySnapshot = await getDocs(q);
-                    console.log('✓ Fallback query without orderBy successful');
-                } catch (fallbackError) {
-                    console.error('❌ Even fallback query failed:', fallbackError);
-                    throw fallbackError;
-                }
-            }
-        } else {
-            console.log('Creating query for all images');
-            
-            // First try with orderBy
-            try {
-                console.log('Attempting query with orderBy...');
-                q = query(imagesRef, orderBy('createdAt', 'desc'));
-                querySnapshot = await getDocs(q);
-                console.log('✓ Query with orderBy successful');
-            } catch (queryError) {
-                console.warn('❌ Query with orderBy failed:', queryError.message);
-                
-                // Fallback: simple query without orderBy
-                try {
-                    console.log('Trying fallback query without orderBy...');
-                    q = query(imagesRef);
-                    querySnapshot = await getDocs(q);
-                    console.log('✓ Fallback query without orderBy successful');
-                } catch (fallbackError) {
-                    console.error('❌ Even fallback query failed:', fallbackError);
-                    throw fallbackError;
-                }
-            }
-        }
-        
-        console.log('✓ Query executed successfully');
-        console.log('Query snapshot size:', querySnapshot.size);
-        console.log('Query snapshot empty:', querySnapshot.empty);
-        
-        if (querySnapshot.empty) {
-            console.log('⚠️ No documents found in galleryImages collection');
-            if (category) {
-                console.log(`⚠️ No images found for category: ${category}`);
-            }
+        const existing = await fetchAlbum(albumId);
+        if (!existing) {
+            throw new Error('Album not found');
         }
-        
-        const images = [];
-        querySnapshot.forEach((doc) => {
-            const data = doc.data();
-            console.log('Processing document:', { 
-                id: doc.id, 
-                category: data.category,
-                title: data.title,
-                url: data.url ? 'URL present' : 'NO URL',
-                createdAt: data.createdAt ? 'Timestamp present' : 'NO TIMESTAMP'
-            });
-            
-            images.push({
-                id: doc.id,
-                ...data,
-                // Convert Firestore timestamp to JavaScript Date for display
-                uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
-                date: data.createdAt?.toDate?.()?.toISOString().split('T')[0] || data.date || 'N/A'
-            });
-        });
-        
-        // Manual sorting if orderBy wasn't used (when we had to use fallback)
-        if (images.length > 1) {
-            console.log('Applying manual sorting by creation date...');
-            images.sort((a, b) => {
-                const dateA = a.createdAt?.toDate?.() || new Date(a.uploadedAt || 0);
-                const dateB = b.createdAt?.toDate?.() || new Date(b.uploadedAt || 0);
-                return dateB - dateA; // Descending order (newest first)
+        const actor = await requirePermission(userId, 'albums.manage', existing, 'You cannot delete this album');
+
+        const imagesSnapshot = await getDocs(query(collection(db, 'galleryImages'), where('albumId', '==', albumId)));
+        // Images are taken out before the album goes, since the rules check the
+        // album when an image leaves it. Firestore batches are limited to 500 writes.
+        for (let i = 0; i < imagesSnapshot.docs.length; i += 500) {
+            const batch = writeBatch(db);
+            imagesSnapshot.docs.slice(i, i + 500).forEach(imageDoc => {
+                batch.update(imageDoc.ref, { albumId: null });
             });
-            console.log('✓ Manual sorting applied');
+            await batch.commit();
+        }
+
+        const batch = writeBatch(db);
+        batch.delete(doc(db, 'albums', albumId));
+        queueAuditEntry(batch, actor.uid, 'album.delete', { type: 'albums', id: albumId }, existing, null);
+        await batch.commit();
+
+        console.log('Album deleted:', albumId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting album:', error);
+        throw error;
+    }
+}
+
+// Get a user's profile with their normalized role (see roles.js).
+// Users without a document in `users` are treated as preachers.
+export async function getUserProfile(userId, userEmail = null) {
+    const users = await fetchUsers();
+
+    // Look the user up by document ID, falling back to email
+    let userData = users[userId];
+    if (!userData && userEmail) {
+        userData = Object.values(users).find(user =>
+            user.email && user.email.toLowerCase() === userEmail.toLowerCase()
+        );
+    }
+
+    return {
+        ...(userData || {}),
+        uid: userId,
+        role: normalizeRole(userData?.role),
+        temple: userData?.temple || null
+    };
+}
+
+// Get user role from Firestore: one of 'preacher', 'temple_coordinator', 'admin', 'super_admin'
+export async function getUserRole(userId, userEmail = null) {
+    try {
+        const profile = await getUserProfile(userId, userEmail);
+        return profile.role;
+    } catch (error) {
+        console.error('Error fetching user role:', error);
+        return 'preacher'; // Least privileged role on error
+    }
+}
+
+// Check a permission from the matrix in roles.js and throw if it is not granted.
+// userId defaults to the signed-in user. Returns the user's profile.
+async function requirePermission(userId, permission, record = null, message = 'You do not have permission to do this') {
+    const uid = userId || auth.currentUser?.uid;
+    if (!uid) {
+        throw new Error('Please log in first');
+    }
+
+    const actor = await getUserProfile(uid);
+    if (!hasPermission(actor, permission, record)) {
+        throw new Error(message);
+    }
+    return actor;
+}
+
+// Update user role in Firestore. Admins can appoint preachers and temple
+// coordinators; only super admins can appoint or change admins.
+export async function updateUserRole(userId, newRole, actorId = null) {
+    try {
+        if (!ROLES.includes(newRole)) {
+            throw new Error(`Unknown role: ${newRole}`);
+        }
+
+        const { actor, target } = await requireUserManagement(actorId, userId, 'users.assignRole');
+        if (!getAssignableRoles(actor.role).includes(newRole)) {
+            throw new Error('You cannot give this user that role');
         }
+
+        const updates = {
+            role: newRole,
+            updatedAt: new Date().toISOString()
+        };
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'users', userId), updates);
+        queueAuditEntry(batch, actor.uid, 'user.role', { type: 'users', id: userId }, target, { ...target, ...updates });
+        await batch.commit();
         
-        console.log(`✓ Processed ${images.length} images for category '${category}'`);
-        console.log('Sample image data:', images[0] || 'No images');
-        console.log('=== FETCH GALLERY IMAGES END ===');
+        // Read the changed user again on the next fetch
+        await invalidateCachedDocuments('users', [userId]);
         
-        return images;
+        console.log(`User role updated successfully: ${userId} -> ${newRole}`);
+        return true;
     } catch (error) {
-        console.error('=== FETCH GALLERY IMAGES FAILED ===');
-        console.error('Error fetching gallery images:', {
-            error: error.message,
-            code: error.code,
-            stack: error.stack,
-            category
+        console.error('Error updating user role:', error);
+        throw error;
+    }
+}
+
+// Copy roles stored in the old `userRole`, `permission` or `level` fields (or
+// as legacy values like 'super admin') into a normalized `role` field, so the
+// security rules can rely on it. Super admins only; run once.
+export async function migrateUserRoles() {
+    const actor = await requirePermission(null, 'users.migrateRoles', null, 'Only super admins can migrate roles');
+
+    const querySnapshot = await getDocs(collection(db, 'users'));
+    const pending = querySnapshot.docs.filter(userDoc => {
+        const data = userDoc.data();
+        return data.role !== normalizeRole(data.role || data.userRole || data.permission || data.level);
+    });
+
+    // Firestore batches are limited to 500 writes; each user takes two (the
+    // update and its audit entry), so a batch covers 250 users
+    const updatedIds = [];
+    for (let i = 0; i < pending.length; i += 250) {
+        const batch = writeBatch(db);
+        pending.slice(i, i + 250).forEach(userDoc => {
+            const data = userDoc.data();
+            const updates = {
+                role: normalizeRole(data.role || data.userRole || data.permission || data.level),
+                updatedAt: new Date().toISOString()
+            };
+            batch.update(userDoc.ref, updates);
+            queueAuditEntry(batch, actor.uid, 'user.role', { type: 'users', id: userDoc.id }, data, { ...data, ...updates });
         });
-        return [];
+        await batch.commit();
+        updatedIds.push(...pending.slice(i, i + 250).map(userDoc => userDoc.id));
     }
+    await invalidateCachedDocuments('users', updatedIds);
+
+    console.log(`Migrated roles for ${updatedIds.length} users`);
+    return updatedIds.length;
 }
 
-// Debug function to check all gallery images in database
-export async function debugGalleryImages() {
+// Check that the acting user may manage another user's account. Admins manage
+// preachers and temple coordinators; super admins manage everyone.
+// Returns the acting user's and the managed user's profiles.
+async function requireUserManagement(actorId, userId, permission = 'users.manage') {
+    const actor = await requirePermission(actorId, permission, null, 'Only admins can manage users');
+    const target = await getUserProfile(userId);
+    if (!getAssignableRoles(actor.role).includes(target.role)) {
+        throw new Error('You cannot manage this user');
+    }
+    if (target.uid === actor.uid) {
+        throw new Error('You cannot change your own account here');
+    }
+    return { actor, target };
+}
+
+// Report count and last activity date for every user, keyed by user ID
+export async function fetchUserActivity() {
     try {
-        console.log('=== DEBUGGING GALLERY IMAGES ===');
-        const imagesRef = collection(db, 'galleryImages');
-        const querySnapshot = await getDocs(imagesRef);
-        
-        console.log('Total gallery images in database:', querySnapshot.size);
-        
-        const imagesByCategory = {};
-        querySnapshot.forEach((doc) => {
-            const data = doc.data();
-            const category = data.category || 'unknown';
-            
-            if (!imagesByCategory[category]) {
-                imagesByCategory[category] = [];
+        const reports = await fetchActivityReports();
+        const activity = {};
+        reports.forEach(report => {
+            if (!report.createdBy) {
+                return;
             }
-            
-            imagesByCategory[category].push({
-                id: doc.id,
-                title: data.title,
-                category: data.category,
-                url: data.url,
-                filename: data.filename,
-                uploadedAt: data.uploadedAt || data.createdAt?.toDate?.()?.toISOString() || 'N/A'
-            });
+            const day = report.date || report.createdAt?.toDate?.()?.toISOString().split('T')[0] || null;
+            const entry = activity[report.createdBy] || { reportCount: 0, lastActivity: null };
+            entry.reportCount++;
+            if (day && (!entry.lastActivity || day > entry.lastActivity)) {
+                entry.lastActivity = day;
+            }
+            activity[report.createdBy] = entry;
         });
-        
-        console.log('Images by category:', imagesByCategory);
-        
-        // Check specifically for activities category
-        const activitiesImages = imagesByCategory['activities'] || [];
-        console.log(`Found ${activitiesImages.length} images in 'activities' category:`, activitiesImages);
-        
-        return imagesByCategory;
+        return activity;
     } catch (error) {
-        console.error('Error debugging gallery images:', error);
+        console.error('Error fetching user activity:', error);
         return {};
     }
 }
 
-// Delete gallery image from both Storage and Firestore
-export async function deleteGalleryImage(imageId, filename) {
+// Assign a user to a temple (admin function)
+export async function updateUserTemple(userId, temple, actorId = null) {
     try {
-        // Delete from Firestore
-        const imageRef = doc(db, 'galleryImages', imageId);
-        await deleteDoc(imageRef);
-        
-        // Delete from Storage
-        const storageRef = ref(storage, `gallery/${filename}`);
-        await deleteObject(storageRef);
-        
-        console.log('Gallery image deleted successfully');
+        const { actor, target } = await requireUserManagement(actorId, userId);
+
+        const updates = {
+            temple: (temple || '').trim() || null,
+            updatedAt: new Date().toISOString()
+        };
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'users', userId), updates);
+        queueAuditEntry(batch, actor.uid, 'user.temple', { type: 'users', id: userId }, target, { ...target, ...updates });
+        await batch.commit();
+        await invalidateCachedDocuments('users', [userId]);
+
+        console.log(`User temple updated: ${userId} -> ${temple}`);
         return true;
     } catch (error) {
-        console.error('Error deleting gallery image:', error);
+        console.error('Error updating user temple:', error);
         throw error;
     }
 }
 
-// Get user role from Firestore
-export async function getUserRole(userId, userEmail = null) {
+// Deactivate or reactivate a user's account (admin function).
+// Deactivated users are signed out of the portal and refused by the security rules.
+export async function setUserActive(userId, active, actorId = null) {
     try {
-        console.log('Fetching user role for:', { userId, userEmail });
-        const users = await fetchUsers();
-        
-        // First try to find user by userId (document ID)
-        let userData = users[userId];
-        console.log('User data by ID:', userData);
-        
-        // If not found by ID, try to find by email
-        if (!userData && userEmail) {
-            console.log('User not found by ID, searching by email:', userEmail);
-            userData = Object.values(users).find(user => 
-                user.email && user.email.toLowerCase() === userEmail.toLowerCase()
-            );
-            console.log('User data by email:', userData);
+        const { actor, target } = await requireUserManagement(actorId, userId);
+
+        const updatedAt = new Date().toISOString();
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'users', userId), active ? {
+            disabled: false,
+            disabledAt: deleteField(),
+            disabledBy: deleteField(),
+            updatedAt
+        } : {
+            disabled: true,
+            disabledAt: updatedAt,
+            disabledBy: actor.uid,
+            updatedAt
+        });
+        const after = { ...target, disabled: !active, updatedAt };
+        if (active) {
+            delete after.disabledAt;
+            delete after.disabledBy;
+        } else {
+            Object.assign(after, { disabledAt: updatedAt, disabledBy: actor.uid });
         }
-        
-        if (!userData) {
-            console.log('No user data found in Firestore, defaulting to regular user');
-            return 'user'; // Default role for users not in database
+        queueAuditEntry(batch, actor.uid, active ? 'user.reactivate' : 'user.deactivate', { type: 'users', id: userId }, target, after);
+        await batch.commit();
+        await invalidateCachedDocuments('users', [userId]);
+
+        console.log(`User ${userId} ${active ? 'reactivated' : 'deactivated'}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating user status:', error);
+        throw error;
+    }
+}
+
+// Invite a new preacher by email. When they register with that email their
+// profile is created with the invited role and temple.
+export async function inviteUser(invitation, actorId = null) {
+    try {
+        const actor = await requirePermission(actorId, 'users.manage', null, 'Only admins can invite users');
+
+        const email = (invitation?.email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw new Error('Please enter a valid email address');
         }
-        
-        // Check for role field (with various possible field names)
-        const role = userData.role || userData.userRole || userData.permission || userData.level || 'member';
-        console.log('User role determined:', role);
-        
-        return role.toLowerCase(); // Normalize to lowercase for comparison
+        const role = invitation.role || 'preacher';
+        if (!getAssignableRoles(actor.role).includes(role)) {
+            throw new Error('You cannot invite a user with that role');
+        }
+        const users = await fetchUsers();
+        if (Object.values(users).some(user => user.email && user.email.toLowerCase() === email)) {
+            throw new Error('A user with this email already exists');
+        }
+
+        const invite = {
+            email,
+            displayName: (invitation.displayName || '').trim(),
+            temple: (invitation.temple || '').trim() || null,
+            role,
+            status: 'pending',
+            invitedBy: actor.uid,
+            invitedAt: serverTimestamp()
+        };
+        // Keyed by email so the security rules can find it when the invitee registers
+        const batch = writeBatch(db);
+        batch.set(doc(db, 'invitations', email), invite);
+        queueAuditEntry(batch, actor.uid, 'user.invite', { type: 'invitations', id: email }, null, invite);
+        await batch.commit();
+
+        console.log('Invitation created for:', email);
+        return { id: email, ...invite };
     } catch (error) {
-        console.error('Error fetching user role:', error);
-        return 'user'; // Default to regular user on error
+        console.error('Error inviting user:', error);
+        throw error;
     }
 }
 
-// Update user role in Firestore (admin function)
-export async function updateUserRole(userId, newRole) {
+// Fetch pending invitations (admin function)
+export async function fetchInvitations() {
     try {
-        const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js');
-        
-        const userRef = doc(db, 'users', userId);
-        await updateDoc(userRef, {
-            role: newRole,
-            updatedAt: new Date().toISOString()
-        });
-        
-        // Clear cache to force refresh
-        clearCache();
-        
-        console.log(`User role updated successfully: ${userId} -> ${newRole}`);
+        const querySnapshot = await getDocs(query(collection(db, 'invitations'), where('status', '==', 'pending')));
+        return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        return [];
+    }
+}
+
+// Withdraw a pending invitation (admin function)
+export async function revokeInvitation(email, actorId = null) {
+    try {
+        const actor = await requirePermission(actorId, 'users.manage', null, 'Only admins can manage invitations');
+        const invitationRef = doc(db, 'invitations', email.toLowerCase());
+        const invitation = await getDoc(invitationRef);
+        const batch = writeBatch(db);
+        batch.delete(invitationRef);
+        queueAuditEntry(batch, actor.uid, 'user.revokeInvite', { type: 'invitations', id: invitationRef.id },
+            invitation.exists() ? invitation.data() : null, null);
+        await batch.commit();
+        console.log('Invitation revoked for:', email);
         return true;
     } catch (error) {
-        console.error('Error updating user role:', error);
+        console.error('Error revoking invitation:', error);
         throw error;
     }
 }
 
-// Check if current user has admin privileges
+// Make sure a signed-in user has a profile in `users`, creating it on first
+// login from their pending invitation (or as a preacher). Returns the profile;
+// invited users whose email is not verified yet get a stand-in preacher
+// profile with `awaitingVerification` set.
+export async function ensureUserProfile(user, displayName = '') {
+    const userRef = doc(db, 'users', user.uid);
+    const existing = await getDoc(userRef);
+    if (existing.exists()) {
+        return { uid: user.uid, ...existing.data(), role: normalizeRole(existing.data().role) };
+    }
+
+    // Older profiles may be stored under another document ID with the same email
+    const legacyProfile = await getUserProfile(user.uid, user.email);
+    if (legacyProfile.email) {
+        return legacyProfile;
+    }
+
+    const email = (user.email || '').toLowerCase();
+    const invitationRef = doc(db, 'invitations', email);
+    const invitation = email ? await getDoc(invitationRef) : null;
+    const invite = invitation?.exists() && invitation.data().status === 'pending' ? invitation.data() : null;
+
+    // The rules only honour an invitation for a verified email address. Until
+    // then no profile is made, so the invited role isn't lost to a preacher profile.
+    if (invite && !user.emailVerified) {
+        await user.reload();
+    }
+    if (invite && !user.emailVerified) {
+        return { uid: user.uid, email: user.email || '', role: 'preacher', temple: null, awaitingVerification: true };
+    }
+    if (invite) {
+        // Refresh the ID token so the rules see the verified address
+        await user.getIdToken(true);
+    }
+
+    const profile = {
+        email: user.email || '',
+        displayName: displayName || invite?.displayName || '',
+        role: invite?.role || 'preacher',
+        temple: invite?.temple || null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    if (invite) {
+        profile.invitedBy = invite.invitedBy;
+    }
+
+    const batch = writeBatch(db);
+    batch.set(userRef, profile);
+    if (invite) {
+        batch.update(invitationRef, { status: 'accepted', acceptedBy: user.uid, acceptedAt: serverTimestamp() });
+    }
+    await batch.commit();
+    await invalidateCachedDocuments('users', [user.uid]);
+
+    console.log('User profile created for:', user.uid);
+    return { uid: user.uid, ...profile };
+}
+
+// Check if a user has admin privileges
 export async function checkAdminAccess(userId) {
     try {
-        const userRole = await getUserRole(userId);
-        return userRole === 'admin' || userRole === 'super_admin';
+        return isAdminRole(await getUserRole(userId));
     } catch (error) {
         console.error('Error checking admin access:', error);
         return false;
     }
 }
 
-// Real-time listener for gallery images
-export function listenToGalleryImages(category, callback) {
+// Check a permission for a user without throwing, for showing or hiding UI
+export async function checkPermission(userId, permission, record = null) {
+    try {
+        const actor = await getUserProfile(userId);
+        return hasPermission(actor, permission, record);
+    } catch (error) {
+        console.error('Error checking permission:', error);
+        return false;
+    }
+}
+
+// Real-time listener for approved gallery images.
+// options: { includeOwn } also delivers the signed-in user's unapproved uploads
+export function listenToGalleryImages(category, callback, options = {}) {
+    if (options.includeOwn && auth.currentUser) {
+        let approved = [];
+        let ownDocs = [];
+        const emit = () => callback(mergeOwnGalleryImages(approved, ownDocs));
+        const unsubscribeApproved = listenToGalleryImages(category, images => {
+            approved = images;
+            emit();
+        });
+        const unsubscribeOwn = onSnapshot(ownGalleryImagesQuery(category, auth.currentUser.uid), snapshot => {
+            ownDocs = snapshot.docs;
+            emit();
+        }, error => console.error('Own images listener error:', error));
+        return () => {
+            unsubscribeApproved?.();
+            unsubscribeOwn();
+        };
+    }
+
     try {
         console.log(`Setting up real-time listener for category: ${category}`);
         const imagesRef = collection(db, 'galleryImages');
@@ -1077,28 +2954,28 @@ export function listenToGalleryImages(category, callback) {
             // First try with orderBy (requires index)
             try {
                 console.log('Attempting real-time query with orderBy...');
-                q = query(imagesRef, where('category', '==', category), orderBy('createdAt', 'desc'));
+                q = query(imagesRef, where('category', '==', category), where('status', '==', 'approved'), orderBy('createdAt', 'desc'));
                 useOrderBy = true;
                 console.log('✓ Real-time query with orderBy created for category:', category);
             } catch (indexError) {
                 console.warn('❌ Real-time orderBy query failed (likely missing index):', indexError.message);
                 // Fallback: simple where query without orderBy
                 console.log('Using fallback real-time query without orderBy...');
-                q = query(imagesRef, where('category', '==', category));
+                q = query(imagesRef, where('category', '==', category), where('status', '==', 'approved'));
                 useOrderBy = false;
             }
         } else {
             // First try with orderBy
             try {
                 console.log('Attempting real-time query with orderBy for all images...');
-                q = query(imagesRef, orderBy('createdAt', 'desc'));
+                q = query(imagesRef, where('status', '==', 'approved'), orderBy('createdAt', 'desc'));
                 useOrderBy = true;
                 console.log('✓ Real-time query with orderBy created for all images');
             } catch (indexError) {
                 console.warn('❌ Real-time orderBy query failed:', indexError.message);
                 // Fallback: simple query without orderBy
                 console.log('Using fallback real-time query without orderBy...');
-                q = query(imagesRef);
+                q = query(imagesRef, where('status', '==', 'approved'));
                 useOrderBy = false;
             }
         }
@@ -1144,8 +3021,8 @@ export function listenToGalleryImages(category, callback) {
                 // Try setting up a simpler listener without orderBy
                 try {
                     const fallbackQuery = category ? 
-                        query(imagesRef, where('category', '==', category)) : 
-                        query(imagesRef);
+                        query(imagesRef, where('category', '==', category), where('status', '==', 'approved')) : 
+                        query(imagesRef, where('status', '==', 'approved'));
                     
                     return onSnapshot(fallbackQuery, (querySnapshot) => {
                         console.log(`Fallback real-time update: ${querySnapshot.size} images found`);
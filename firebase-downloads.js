@@ -0,0 +1,146 @@
+// Download history of preaching resources.
+//
+// Besides the running `downloads` total on each resource, every download
+// writes one event to the `resourceDownloads` collection:
+//   resourceId  - the resource that was downloaded
+//   temple      - the downloader's temple; null when they have none or are
+//                 not signed in
+//   day         - the downloader's local date, YYYY-MM-DD
+//   createdAt   - server time of the download
+//
+// Events are written in the same batch as the counter, so the two agree.
+// Downloads by visitors who are not signed in are counted too. The Firestore
+// rules only let users add events with their own temple (none when signed
+// out) and never allow them to be edited; admins read them on
+// resource-analytics.html.
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    Timestamp,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
+import { getTrendBucket, listTrendBuckets } from './firebase-aggregates.js';
+
+export const DOWNLOADS_COLLECTION = 'resourceDownloads';
+
+// Most events loaded for one period; the analytics page says when it is reached
+export const MAX_DOWNLOAD_EVENTS = 10000;
+
+// Temple shown for downloads by visitors who are not signed in or have no temple
+export const UNKNOWN_TEMPLE = 'Unknown';
+
+// Local date as YYYY-MM-DD, so downloads late in the evening count on the right day
+export function toLocalDayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Temple of the signed-in user, which the rules check the event against
+async function getDownloaderTemple() {
+    const user = auth.currentUser;
+    if (!user) {
+        return null;
+    }
+    const profile = await getDoc(doc(db, 'users', user.uid));
+    // Deactivated accounts count as signed out in the rules
+    if (!profile.exists() || profile.data().disabled) {
+        return null;
+    }
+    return profile.data().temple ?? null;
+}
+
+// Add a download event to a write batch so it is committed with the counter
+export async function queueDownloadEvent(batch, resourceId) {
+    const eventRef = doc(collection(db, DOWNLOADS_COLLECTION));
+    batch.set(eventRef, {
+        resourceId,
+        temple: await getDownloaderTemple(),
+        day: toLocalDayKey(),
+        createdAt: serverTimestamp()
+    });
+    return eventRef;
+}
+
+// Fetch the download events between two dates, newest first (admins only).
+// Returns { events, truncated } where truncated is true when more than
+// MAX_DOWNLOAD_EVENTS happened in the period and only the newest were loaded.
+export async function fetchDownloadEvents(startDate, endDate) {
+    try {
+        const eventsQuery = query(
+            collection(db, DOWNLOADS_COLLECTION),
+            where('createdAt', '>=', Timestamp.fromDate(startDate)),
+            where('createdAt', '<=', Timestamp.fromDate(endDate)),
+            orderBy('createdAt', 'desc'),
+            limit(MAX_DOWNLOAD_EVENTS + 1)
+        );
+        const querySnapshot = await getDocs(eventsQuery);
+        return {
+            events: querySnapshot.docs.slice(0, MAX_DOWNLOAD_EVENTS).map(doc => ({ id: doc.id, ...doc.data() })),
+            truncated: querySnapshot.size > MAX_DOWNLOAD_EVENTS
+        };
+    } catch (error) {
+        console.error('Error fetching download events:', error);
+        throw error;
+    }
+}
+
+// Sum download events for the analytics page.
+// options: { startDay, endDay, granularity ('day' | 'week' | 'month' | 'year'), temple }
+// resources are the active resources; events of resources in the trash still
+// count, with resource null. Returns {
+//   total,
+//   timeline:        { labels, counts } with one entry per time bucket,
+//   topResources:    [{ resourceId, resource, count }], most downloaded first,
+//   temples:         [{ temple, count }], most downloads first,
+//   neverDownloaded: active resources nobody has downloaded yet, oldest first
+// }
+export function summarizeDownloads(events, resources, options = {}) {
+    const { startDay, endDay, granularity = 'day', temple = '' } = options;
+    const resourcesById = Object.fromEntries(resources.map(resource => [resource.id, resource]));
+    const inScope = temple
+        ? events.filter(event => (event.temple || UNKNOWN_TEMPLE) === temple)
+        : events;
+
+    const labels = startDay && endDay ? listTrendBuckets(startDay, endDay, granularity) : [];
+    const counts = labels.map(() => 0);
+    const bucketIndex = Object.fromEntries(labels.map((label, i) => [label, i]));
+
+    const perResource = {};
+    const perTemple = {};
+    inScope.forEach(event => {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(event.day || '')) {
+            const i = bucketIndex[getTrendBucket(event.day, granularity)];
+            if (i !== undefined) {
+                counts[i]++;
+            }
+        }
+        perResource[event.resourceId] = (perResource[event.resourceId] || 0) + 1;
+    });
+    // Temple totals ignore the temple filter so the table always compares them all
+    events.forEach(event => {
+        const key = event.temple || UNKNOWN_TEMPLE;
+        perTemple[key] = (perTemple[key] || 0) + 1;
+    });
+
+    const byCount = (a, b) => b.count - a.count;
+    return {
+        total: inScope.length,
+        timeline: { labels, counts },
+        topResources: Object.entries(perResource)
+            .map(([resourceId, count]) => ({ resourceId, resource: resourcesById[resourceId] || null, count }))
+            .sort(byCount),
+        temples: Object.entries(perTemple)
+            .map(([templeName, count]) => ({ temple: templeName, count }))
+            .sort(byCount),
+        neverDownloaded: resources
+            .filter(resource => !(resource.downloads > 0))
+            .sort((a, b) => new Date(a.uploadedAt || 0) - new Date(b.uploadedAt || 0))
+    };
+}
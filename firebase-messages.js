@@ -0,0 +1,329 @@
+// Messages sent with the Contact Us form on the home page, and the admin inbox.
+//
+// Each message is one document in `contactMessages`:
+//   name, email, subject, message - as typed by the visitor
+//   wantsUpdates  - the "receive updates" consent checkbox
+//   clientId      - the visitor's anonymous auth uid, for rate limiting
+//   status        - one of MESSAGE_STATUSES
+//   assignedTo    - admin who answers it, or null
+//   history       - assignments, replies and status changes
+//
+// Visitors need not be signed in, so spam is kept out in two ways. The form
+// has a honeypot field that people never see; messages that fill it in are
+// dropped without telling the sender. Visitors are also signed in
+// anonymously on a separate app instance (getContactFormServices), and each
+// anonymous account may send only CONTACT_RATE_LIMIT messages: the limit is
+// counted in `contactRateLimits` under the uid, written in the same batch as
+// the message, and enforced by the Firestore rules.
+//
+// Visitors who tick the consent box are added to `subscribers`, keyed by
+// their lowercased email, unless the email is already there. Each subscriber
+// gets a random unsubscribeToken; the unsubscribe link built from it is the
+// only way to change a subscription besides an admin unsubscribing them.
+import { db, getContactFormServices } from './firebase-config.js';
+import { onAuthStateChanged, signInAnonymously } from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-auth.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    orderBy,
+    limit,
+    writeBatch,
+    setDoc,
+    updateDoc,
+    arrayUnion,
+    increment,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
+
+export const MESSAGES_COLLECTION = 'contactMessages';
+export const SUBSCRIBERS_COLLECTION = 'subscribers';
+const RATE_LIMITS_COLLECTION = 'contactRateLimits';
+
+// Stages a message moves through in the inbox
+export const MESSAGE_STATUSES = [
+    { value: 'new', label: 'New' },
+    { value: 'replied', label: 'Replied' },
+    { value: 'closed', label: 'Closed' },
+    { value: 'spam', label: 'Spam' }
+];
+
+// Longest accepted value of each field; the Firestore rules check the same
+export const MESSAGE_FIELD_LIMITS = { name: 100, email: 254, subject: 200, message: 5000 };
+
+// Messages one visitor may send: one per minute and five per hour.
+// Keep in step with the contactRateLimits rules.
+export const CONTACT_RATE_LIMIT = { intervalSeconds: 60, perHour: 5 };
+
+// Most recent messages loaded into the inbox
+export const MAX_INBOX_MESSAGES = 500;
+
+// Page for the unsubscribe links sent with updates
+const UNSUBSCRIBE_PAGE = 'unsubscribe.html';
+
+// Anonymous account the visitor sends messages with. Auth keeps it across
+// visits, so the rate limit follows the browser until its storage is cleared.
+async function getSender(contactAuth) {
+    const restored = await new Promise(resolve => {
+        const stopListening = onAuthStateChanged(contactAuth, user => {
+            stopListening();
+            resolve(user);
+        });
+    });
+    if (restored) {
+        return restored;
+    }
+    const credential = await signInAnonymously(contactAuth);
+    return credential.user;
+}
+
+// Random token that lets its holder unsubscribe one email
+function createUnsubscribeToken() {
+    return crypto.randomUUID().replace(/-/g, '');
+}
+
+// Build a history entry; stored as a plain object inside the history array
+function historyEntry(type, userId, details = {}) {
+    return {
+        type,
+        by: userId || null,
+        at: new Date().toISOString(),
+        ...details
+    };
+}
+
+// Trim the form fields and check them before anything is sent
+function cleanContactMessage(fields) {
+    const message = {
+        name: String(fields.name || '').trim(),
+        email: String(fields.email || '').trim(),
+        subject: String(fields.subject || '').trim(),
+        message: String(fields.message || '').trim()
+    };
+    if (!message.name) {
+        throw new Error('Please enter your name');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(message.email)) {
+        throw new Error('Please enter a valid email address');
+    }
+    if (!message.message) {
+        throw new Error('Please enter a message');
+    }
+    Object.entries(MESSAGE_FIELD_LIMITS).forEach(([field, maxLength]) => {
+        if (message[field].length > maxLength) {
+            throw new Error(`Your ${field} is too long (at most ${maxLength} characters)`);
+        }
+    });
+    return message;
+}
+
+// Work out the next rate limit counts for this sender, or throw when it has
+// sent too many messages
+async function nextRateLimit(contactDb, clientId) {
+    const snapshot = await getDoc(doc(contactDb, RATE_LIMITS_COLLECTION, clientId));
+    if (!snapshot.exists()) {
+        return { windowStart: serverTimestamp(), count: 1, lastSentAt: serverTimestamp() };
+    }
+
+    const { windowStart, count, lastSentAt } = snapshot.data();
+    const now = Date.now();
+    if (now - lastSentAt.toMillis() < CONTACT_RATE_LIMIT.intervalSeconds * 1000) {
+        throw new Error('Please wait a minute before sending another message');
+    }
+    if (now - windowStart.toMillis() >= 60 * 60 * 1000) {
+        return { windowStart: serverTimestamp(), count: 1, lastSentAt: serverTimestamp() };
+    }
+    if (count >= CONTACT_RATE_LIMIT.perHour) {
+        throw new Error('You have sent several messages in the last hour. Please try again later.');
+    }
+    return { windowStart, count: count + 1, lastSentAt: serverTimestamp() };
+}
+
+// Save a message from the Contact Us form.
+// fields: { name, email, subject, message, wantsUpdates, website }, where
+// website is the honeypot field. Returns the message ID, or null when the
+// message was dropped as spam.
+export async function submitContactMessage(fields) {
+    if (String(fields.website || '').trim()) {
+        console.warn('Contact form honeypot filled in; message dropped');
+        return null;
+    }
+    const message = cleanContactMessage(fields);
+    const wantsUpdates = fields.wantsUpdates === true;
+    const { auth: contactAuth, db: contactDb } = getContactFormServices();
+    let sender;
+    try {
+        sender = await getSender(contactAuth);
+    } catch (error) {
+        console.error('Error signing in to send a contact message:', error);
+        throw new Error('Your message could not be sent. Please check your connection and try again.');
+    }
+    const clientId = sender.uid;
+    const rateLimit = await nextRateLimit(contactDb, clientId);
+
+    const messageRef = doc(collection(contactDb, MESSAGES_COLLECTION));
+    const batch = writeBatch(contactDb);
+    batch.set(doc(contactDb, RATE_LIMITS_COLLECTION, clientId), rateLimit);
+    batch.set(messageRef, {
+        ...message,
+        wantsUpdates,
+        clientId,
+        status: 'new',
+        assignedTo: null,
+        history: [],
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+
+    try {
+        await batch.commit();
+    } catch (error) {
+        console.error('Error sending contact message:', error);
+        if (error.code === 'permission-denied') {
+            throw new Error('Your message could not be sent. Please wait a minute and try again.');
+        }
+        throw new Error('Your message could not be sent. Please check your connection and try again.');
+    }
+    console.log('Contact message saved with ID:', messageRef.id);
+
+    if (wantsUpdates) {
+        await subscribe(contactDb, message, messageRef.id);
+    }
+    return messageRef.id;
+}
+
+// Add the sender of a consenting message to the subscribers. The rules only
+// allow creating the document, so an email that is already listed, whether
+// still subscribed or not, is left as it is.
+async function subscribe(contactDb, message, messageId) {
+    const email = message.email.toLowerCase();
+    try {
+        await setDoc(doc(contactDb, SUBSCRIBERS_COLLECTION, email), {
+            email,
+            name: message.name,
+            subscribed: true,
+            source: 'contact_form',
+            messageId,
+            consentedAt: serverTimestamp(),
+            unsubscribeToken: createUnsubscribeToken()
+        });
+    } catch (error) {
+        // The message itself was sent; an existing subscriber is refused here
+        console.warn('Subscriber not added:', error.code || error.message);
+    }
+}
+
+// Fetch the most recent messages for the inbox, newest first (admins only)
+export async function fetchContactMessages() {
+    try {
+        const querySnapshot = await getDocs(query(
+            collection(db, MESSAGES_COLLECTION), orderBy('createdAt', 'desc'), limit(MAX_INBOX_MESSAGES)
+        ));
+        return querySnapshot.docs.map(messageDoc => ({ id: messageDoc.id, ...messageDoc.data() }));
+    } catch (error) {
+        console.error('Error fetching contact messages:', error);
+        return [];
+    }
+}
+
+// Move a message to a new inbox status
+export async function updateMessageStatus(messageId, status, userId) {
+    if (!MESSAGE_STATUSES.some(option => option.value === status)) {
+        throw new Error(`Unknown message status: ${status}`);
+    }
+
+    await updateDoc(doc(db, MESSAGES_COLLECTION, messageId), {
+        status,
+        history: arrayUnion(historyEntry('status_changed', userId, { status })),
+        updatedAt: serverTimestamp()
+    });
+    console.log(`Message ${messageId} status -> ${status}`);
+    return true;
+}
+
+// Assign a message to the admin who will answer it
+export async function assignMessage(messageId, assigneeId, userId) {
+    await updateDoc(doc(db, MESSAGES_COLLECTION, messageId), {
+        assignedTo: assigneeId || null,
+        history: arrayUnion(historyEntry('assigned', userId, { assignedTo: assigneeId || null })),
+        updatedAt: serverTimestamp()
+    });
+    console.log(`Message ${messageId} assigned to ${assigneeId}`);
+    return true;
+}
+
+// Record that the sender was answered (replies are sent from the admin's own
+// email) with a short note of what was said
+export async function recordMessageReply(messageId, note, userId) {
+    const text = (note || '').trim();
+    await updateDoc(doc(db, MESSAGES_COLLECTION, messageId), {
+        status: 'replied',
+        replyCount: increment(1),
+        lastRepliedAt: serverTimestamp(),
+        history: arrayUnion(historyEntry('replied', userId, { note: text })),
+        updatedAt: serverTimestamp()
+    });
+    return true;
+}
+
+// Fetch everyone who agreed to receive updates, newest first (admins only)
+export async function fetchSubscribers() {
+    try {
+        const querySnapshot = await getDocs(collection(db, SUBSCRIBERS_COLLECTION));
+        const subscribers = querySnapshot.docs.map(subscriberDoc => ({ id: subscriberDoc.id, ...subscriberDoc.data() }));
+        subscribers.sort((a, b) => (b.consentedAt?.toMillis?.() || 0) - (a.consentedAt?.toMillis?.() || 0));
+        return subscribers;
+    } catch (error) {
+        console.error('Error fetching subscribers:', error);
+        return [];
+    }
+}
+
+// Link that unsubscribes a subscriber, to include with every update sent
+export function getUnsubscribeLink(subscriber) {
+    if (!subscriber.unsubscribeToken) {
+        return '';
+    }
+    const link = new URL(UNSUBSCRIBE_PAGE, location.href);
+    link.searchParams.set('email', subscriber.email);
+    link.searchParams.set('token', subscriber.unsubscribeToken);
+    return link.href;
+}
+
+// Unsubscribe with the token from an unsubscribe link. Anyone may do this;
+// the rules check the token against the subscriber's own.
+export async function unsubscribeWithToken(email, token) {
+    const subscriberId = String(email || '').trim().toLowerCase();
+    if (!subscriberId || !token) {
+        throw new Error('This unsubscribe link is incomplete');
+    }
+    try {
+        await updateDoc(doc(db, SUBSCRIBERS_COLLECTION, subscriberId), {
+            subscribed: false,
+            unsubscribedAt: serverTimestamp(),
+            unsubscribedWith: token
+        });
+    } catch (error) {
+        console.error('Error unsubscribing:', error);
+        if (error.code === 'permission-denied' || error.code === 'not-found') {
+            throw new Error('This unsubscribe link is not valid, or the email is already unsubscribed');
+        }
+        throw new Error('Could not unsubscribe. Please check your connection and try again.');
+    }
+    console.log(`Unsubscribed ${subscriberId} with link`);
+    return true;
+}
+
+// Stop sending updates to an email (admins only); it stays on record as
+// unsubscribed and cannot be subscribed again
+export async function unsubscribe(subscriberId, userId) {
+    await updateDoc(doc(db, SUBSCRIBERS_COLLECTION, subscriberId), {
+        subscribed: false,
+        unsubscribedAt: serverTimestamp(),
+        unsubscribedBy: userId || null
+    });
+    console.log(`Unsubscribed ${subscriberId}`);
+    return true;
+}
@@ -0,0 +1,168 @@
+// How activity reports roll up into the `impactAggregates` documents behind
+// the homepage counters and charts. Plain functions with no Firebase imports,
+// shared by the portal (firebase-aggregates.js) and the Cloud Function that
+// keeps the aggregates up to date (index.js).
+//
+// Aggregate documents:
+//   totals              - network-wide totals
+//   day_<YYYY-MM-DD>    - totals per activity date
+//   temple_<temple>     - totals per temple
+//   category_<id>       - totals per preaching category
+//   daytemple_<day>_<temple>, daycategory_<day>_<id>, daytemplecategory_<day>_<temple>_<id>
+//                       - per-day totals split by temple and/or category, for trends
+
+export const AGGREGATES_COLLECTION = 'impactAggregates';
+
+// Metrics kept on every aggregate document. Number fields of the categories
+// (see category-fields.js) are summed too, in a `fields` map by field key.
+export const AGGREGATE_METRICS = ['reports', 'books', 'prasadam', 'livesTouched', 'contacts'];
+
+// Get a report's temple, preferring the value stored on the report itself
+function getReportTemple(report, users = {}) {
+    return report.temple || users[report.createdBy]?.temple || 'Unknown';
+}
+
+// Get a report's activity date as YYYY-MM-DD
+function getReportDay(report) {
+    return report.date || report.createdAt?.toDate?.()?.toISOString().split('T')[0] || 'unknown';
+}
+
+// Firestore document IDs cannot contain '/'
+function encodeKey(key) {
+    return encodeURIComponent(String(key));
+}
+
+// Work out what a single report adds to each metric.
+// Mirrors the counting rules the impact section has always used.
+export function getReportContribution(report) {
+    let books = 0;
+    if (report.booksDistributed) {
+        if (typeof report.booksDistributed === 'object') {
+            books = (report.booksDistributed.big || report.booksDistributed.large || 0) +
+                    (report.booksDistributed.medium || 0) +
+                    (report.booksDistributed.small || 0);
+        } else {
+            books = report.booksDistributed;
+        }
+    }
+
+    // Imported tallies only record how many contacts were made, in contactsCount
+    const contactCount = Array.isArray(report.contacts) && report.contacts.length > 0
+        ? report.contacts.length
+        : report.contactsCount || 0;
+
+    // Lives Touched counts each person once: the contacts marked as first seen on
+    // this report. Reports saved before first-seen markers fall back to contacts
+    // flagged new, or every contact when none are flagged. Imported tallies can't
+    // be told apart, so each contact counts.
+    let livesTouched = 0;
+    if (!report.contacts?.length && report.contactsCount) {
+        livesTouched = report.contactsCount;
+    } else if (Array.isArray(report.contacts) && report.contacts.some(contact => typeof contact.firstSeen === 'boolean')) {
+        livesTouched = report.contacts.filter(contact => contact.firstSeen === true).length;
+    } else if (report.contacts && Array.isArray(report.contacts)) {
+        const newContacts = report.contacts.filter(contact =>
+            contact.isNewContact === true || contact.isNew === true ||
+            (contact.contactType && contact.contactType === 'new')
+        );
+        livesTouched = newContacts.length > 0 ? newContacts.length : report.contacts.length;
+    } else if (report.newContacts) {
+        livesTouched = report.newContacts;
+    }
+
+    // Prasadam falls back to an estimate of 1.5x contacts when not recorded
+    let prasadam = 0;
+    if (report.prasadamServed) {
+        prasadam = report.prasadamServed;
+    } else if (report.contacts) {
+        prasadam = Math.floor(report.contacts.length * 1.5);
+    }
+
+    // Category fields with a number value
+    const fields = {};
+    Object.entries(report.fields || {}).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+            fields[key] = value;
+        }
+    });
+
+    return {
+        reports: 1,
+        books,
+        prasadam,
+        livesTouched,
+        contacts: contactCount,
+        fields
+    };
+}
+
+// List the aggregate documents a report rolls up into
+export function getAggregateTargets(report, users = {}) {
+    const temple = getReportTemple(report, users);
+    const day = getReportDay(report);
+    const categoryId = report.categoryId || 'uncategorized';
+
+    return [
+        { id: 'totals', scope: 'total', key: 'totals' },
+        { id: `day_${day}`, scope: 'day', key: day },
+        { id: `temple_${encodeKey(temple)}`, scope: 'temple', key: temple },
+        { id: `category_${encodeKey(categoryId)}`, scope: 'category', key: categoryId },
+        { id: `daytemple_${day}_${encodeKey(temple)}`, scope: 'dayTemple', key: day, fields: { temple } },
+        { id: `daycategory_${day}_${encodeKey(categoryId)}`, scope: 'dayCategory', key: day, fields: { categoryId } },
+        {
+            id: `daytemplecategory_${day}_${encodeKey(temple)}_${encodeKey(categoryId)}`,
+            scope: 'dayTempleCategory',
+            key: day,
+            fields: { temple, categoryId }
+        }
+    ];
+}
+
+// Add (sign 1) or take away (sign -1) a report's contribution to the
+// aggregate totals kept in `totals`, keyed by document ID
+function addReportContribution(totals, report, users, sign) {
+    const contribution = getReportContribution(report);
+    getAggregateTargets(report, users).forEach(target => {
+        if (!totals[target.id]) {
+            totals[target.id] = { scope: target.scope, key: target.key, ...target.fields, fields: {} };
+            AGGREGATE_METRICS.forEach(metric => { totals[target.id][metric] = 0; });
+        }
+        AGGREGATE_METRICS.forEach(metric => {
+            totals[target.id][metric] += sign * contribution[metric];
+        });
+        Object.entries(contribution.fields).forEach(([key, value]) => {
+            totals[target.id].fields[key] = (totals[target.id].fields[key] || 0) + sign * value;
+        });
+    });
+}
+
+// Build aggregate documents in memory from a list of reports, keyed by document ID
+export function buildAggregatesFromReports(reports, users = {}) {
+    const totals = {};
+    reports.forEach(report => addReportContribution(totals, report, users, 1));
+    return totals;
+}
+
+// Work out how one report write moves the aggregates: the old version's
+// contribution is taken off and the new version's added. before is null for
+// a new report and after is null for a deleted one. Aggregates that do not
+// change are left out. Returns the changes keyed by document ID, in the shape
+// of buildAggregatesFromReports().
+export function getReportRollupChanges(before, after, users = {}) {
+    const changes = {};
+    if (before) {
+        addReportContribution(changes, before, users, -1);
+    }
+    if (after) {
+        addReportContribution(changes, after, users, 1);
+    }
+    Object.keys(changes).forEach(id => {
+        const change = changes[id];
+        const moved = AGGREGATE_METRICS.some(metric => change[metric] !== 0) ||
+            Object.values(change.fields).some(value => value !== 0);
+        if (!moved) {
+            delete changes[id];
+        }
+    });
+    return changes;
+}
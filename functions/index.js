@@ -0,0 +1,22 @@
+// Cloud Functions of the Preachers Portal.
+//
+// rollUpActivityReport keeps the impact aggregates behind the homepage
+// counters and charts in step with the activity reports. The portal cannot
+// write the aggregates itself (only admins rebuild them), so nobody can
+// change the public numbers without changing a report.
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { applyReportRollup } from './report-rollup.js';
+
+initializeApp();
+
+export const rollUpActivityReport = onDocumentWritten({
+    document: 'activityReports/{reportId}',
+    retry: true
+}, async event => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    const changed = await applyReportRollup(getFirestore(), event.id, before, after);
+    console.log(`Report ${event.params.reportId}: ${changed} impact aggregates changed`);
+});
@@ -0,0 +1,69 @@
+// Applies activity report writes to the impact aggregates, with the Admin SDK.
+// Used by the rollUpActivityReport trigger in index.js.
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { AGGREGATES_COLLECTION, AGGREGATE_METRICS, getReportRollupChanges } from './impact-rollup.js';
+
+// Events already applied, so a trigger that runs twice for the same write
+// does not count it twice. Each record carries an expiresAt for a TTL policy.
+export const ROLLUP_EVENTS_COLLECTION = 'impactRollupEvents';
+
+const EVENT_RECORD_DAYS = 7;
+
+// Temples of the authors of reports saved without one (reports from before
+// `temple` was stored on them), keyed by uid like fetchUsers() in the portal
+async function loadAuthorTemples(db, reports) {
+    const authorIds = [...new Set(reports
+        .filter(report => report && !report.temple && report.createdBy)
+        .map(report => report.createdBy))];
+    const users = {};
+    await Promise.all(authorIds.map(async uid => {
+        const snapshot = await db.collection('users').doc(uid).get();
+        if (snapshot.exists) {
+            users[uid] = { temple: snapshot.get('temple') || null };
+        }
+    }));
+    return users;
+}
+
+// Move the aggregates for one report write. before and after are the report
+// data before and after the write (null when it did not exist). eventId
+// identifies the write; applying the same event again does nothing.
+// Returns the number of aggregate documents changed.
+export async function applyReportRollup(db, eventId, before, after) {
+    const users = await loadAuthorTemples(db, [before, after]);
+    const changes = getReportRollupChanges(before, after, users);
+    const eventRef = db.collection(ROLLUP_EVENTS_COLLECTION).doc(eventId);
+
+    return db.runTransaction(async transaction => {
+        const event = await transaction.get(eventRef);
+        if (event.exists) {
+            return 0;
+        }
+        Object.entries(changes).forEach(([id, change]) => {
+            const update = {
+                scope: change.scope,
+                key: change.key,
+                updatedAt: FieldValue.serverTimestamp()
+            };
+            if (change.temple !== undefined) {
+                update.temple = change.temple;
+            }
+            if (change.categoryId !== undefined) {
+                update.categoryId = change.categoryId;
+            }
+            AGGREGATE_METRICS.forEach(metric => {
+                update[metric] = FieldValue.increment(change[metric]);
+            });
+            const fields = Object.entries(change.fields).filter(([, value]) => value !== 0);
+            if (fields.length > 0) {
+                update.fields = Object.fromEntries(fields.map(([key, value]) => [key, FieldValue.increment(value)]));
+            }
+            transaction.set(db.collection(AGGREGATES_COLLECTION).doc(id), update, { merge: true });
+        });
+        transaction.set(eventRef, {
+            appliedAt: FieldValue.serverTimestamp(),
+            expiresAt: Timestamp.fromMillis(Date.now() + EVENT_RECORD_DAYS * 24 * 60 * 60 * 1000)
+        });
+        return Object.keys(changes).length;
+    });
+}
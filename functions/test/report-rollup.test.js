@@ -0,0 +1,137 @@
+// Report rollups against the Firestore emulator: creating, editing and
+// deleting reports moves the impact aggregates, once per event.
+import assert from 'assert';
+import { initializeApp, deleteApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { applyReportRollup } from '../report-rollup.js';
+
+const PROJECT_ID = 'demo-preachers-portal';
+
+const REPORT = {
+    createdBy: 'preacherA',
+    temple: 'Temple A',
+    categoryId: 'bookTable',
+    date: '2024-05-01',
+    booksDistributed: { big: 2, medium: 3, small: 5 },
+    prasadamServed: 40,
+    contacts: [
+        { name: 'Radha', contactKey: 'radha', firstSeen: true },
+        { name: 'Govinda', contactKey: 'govinda', firstSeen: false }
+    ],
+    fields: { hours: 3 }
+};
+
+describe('applyReportRollup', () => {
+    let app;
+    let db;
+
+    async function aggregate(id) {
+        const snapshot = await db.collection('impactAggregates').doc(id).get();
+        return snapshot.exists ? snapshot.data() : null;
+    }
+
+    before(() => {
+        if (!process.env.FIRESTORE_EMULATOR_HOST) {
+            process.env.FIRESTORE_EMULATOR_HOST = '127.0.0.1:8080';
+        }
+        app = initializeApp({ projectId: PROJECT_ID }, 'rollup-tests');
+        db = getFirestore(app);
+    });
+
+    beforeEach(async () => {
+        const response = await fetch(
+            `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+            { method: 'DELETE' }
+        );
+        assert.ok(response.ok, await response.text());
+    });
+
+    after(async () => {
+        if (app) {
+            await deleteApp(app);
+        }
+    });
+
+    it('adds a new report to every aggregate it rolls up into', async () => {
+        await applyReportRollup(db, 'create-1', null, REPORT);
+
+        const totals = await aggregate('totals');
+        assert.strictEqual(totals.reports, 1);
+        assert.strictEqual(totals.books, 10);
+        assert.strictEqual(totals.prasadam, 40);
+        assert.strictEqual(totals.livesTouched, 1);
+        assert.strictEqual(totals.contacts, 2);
+        assert.strictEqual(totals.fields.hours, 3);
+
+        assert.strictEqual((await aggregate('day_2024-05-01')).reports, 1);
+        assert.strictEqual((await aggregate('temple_Temple%20A')).books, 10);
+        assert.strictEqual((await aggregate('category_bookTable')).books, 10);
+        const dayTempleCategory = await aggregate('daytemplecategory_2024-05-01_Temple%20A_bookTable');
+        assert.strictEqual(dayTempleCategory.scope, 'dayTempleCategory');
+        assert.strictEqual(dayTempleCategory.temple, 'Temple A');
+        assert.strictEqual(dayTempleCategory.categoryId, 'bookTable');
+    });
+
+    it('moves the counts by the difference when a report is edited', async () => {
+        await applyReportRollup(db, 'create-1', null, REPORT);
+        const edited = { ...REPORT, booksDistributed: { big: 2, medium: 3, small: 15 } };
+        await applyReportRollup(db, 'update-1', REPORT, edited);
+
+        const totals = await aggregate('totals');
+        assert.strictEqual(totals.reports, 1);
+        assert.strictEqual(totals.books, 20);
+    });
+
+    it('moves a report between temples and days when those are edited', async () => {
+        await applyReportRollup(db, 'create-1', null, REPORT);
+        const moved = { ...REPORT, temple: 'Temple B', date: '2024-05-02' };
+        await applyReportRollup(db, 'update-1', REPORT, moved);
+
+        assert.strictEqual((await aggregate('temple_Temple%20A')).reports, 0);
+        assert.strictEqual((await aggregate('temple_Temple%20B')).reports, 1);
+        assert.strictEqual((await aggregate('day_2024-05-01')).books, 0);
+        assert.strictEqual((await aggregate('day_2024-05-02')).books, 10);
+        assert.strictEqual((await aggregate('totals')).reports, 1);
+    });
+
+    it('takes a deleted report out of the aggregates', async () => {
+        await applyReportRollup(db, 'create-1', null, REPORT);
+        await applyReportRollup(db, 'delete-1', REPORT, null);
+
+        const totals = await aggregate('totals');
+        assert.strictEqual(totals.reports, 0);
+        assert.strictEqual(totals.books, 0);
+        assert.strictEqual(totals.livesTouched, 0);
+        assert.strictEqual(totals.fields.hours, 0);
+    });
+
+    it('follows first-seen markers moved onto another report', async () => {
+        await applyReportRollup(db, 'create-1', null, REPORT);
+        const contacts = REPORT.contacts.map(contact => ({ ...contact, firstSeen: true }));
+        await applyReportRollup(db, 'update-1', REPORT, { ...REPORT, contacts });
+
+        assert.strictEqual((await aggregate('totals')).livesTouched, 2);
+    });
+
+    it('applies an event only once when the trigger runs again', async () => {
+        assert.strictEqual(await applyReportRollup(db, 'create-1', null, REPORT), 7);
+        assert.strictEqual(await applyReportRollup(db, 'create-1', null, REPORT), 0);
+
+        assert.strictEqual((await aggregate('totals')).reports, 1);
+    });
+
+    it('leaves the aggregates alone when an edit does not change the counts', async () => {
+        await applyReportRollup(db, 'create-1', null, REPORT);
+        const changed = await applyReportRollup(db, 'update-1', REPORT, { ...REPORT, notes: 'Rainy day' });
+
+        assert.strictEqual(changed, 0);
+    });
+
+    it('uses the author\'s temple for reports saved without one', async () => {
+        await db.collection('users').doc('preacherA').set({ role: 'preacher', temple: 'Temple A' });
+        const { temple, ...withoutTemple } = REPORT;
+        await applyReportRollup(db, 'create-1', null, withoutTemple);
+
+        assert.strictEqual((await aggregate(`temple_${encodeURIComponent(temple)}`)).reports, 1);
+    });
+});
@@ -0,0 +1,18 @@
+// Helpers for putting user-entered text into HTML.
+//
+// Names, titles, notes and captions are typed by users. Anything inserted
+// through innerHTML or a template string goes through escapeHtml first, in
+// text and in quoted attribute values alike.
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// The value as HTML text, safe between tags and inside "..." or '...' attributes
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,141 @@
+// Browser-side resizing for gallery uploads.
+//
+// Phone photos are downscaled and re-encoded before they are uploaded, so the
+// gallery never has to serve multi-megabyte originals. Each upload produces:
+//   full    - longest side at most 2048px, shown in the image viewer
+//   medium  - 800px, used by the gallery grid and homepage cards
+//   small   - 320px, for thumbnails
+// Images are encoded as WebP where the browser supports it, JPEG otherwise.
+
+export const IMAGE_VARIANTS = { full: 2048, medium: 800, small: 320 };
+
+// Largest photo accepted for resizing
+export const MAX_SOURCE_IMAGE_SIZE = 30 * 1024 * 1024;
+
+// Largest file uploaded without resizing (GIFs, to keep their animation).
+// The Storage rules refuse anything bigger.
+export const MAX_STORED_IMAGE_SIZE = 5 * 1024 * 1024;
+
+const WEBP_QUALITY = 0.82;
+const JPEG_QUALITY = 0.85;
+
+// Whether an image is uploaded as it is instead of being resized
+export function isUnprocessedImage(file) {
+    return file.type === 'image/gif';
+}
+
+// Check a file before upload; returns an error message or null
+export function validateImageFile(file) {
+    if (!file || !file.type.startsWith('image/')) {
+        return 'File must be an image';
+    }
+    if (isUnprocessedImage(file) && file.size > MAX_STORED_IMAGE_SIZE) {
+        return 'GIF images must be under 5MB';
+    }
+    if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+        return 'Images must be under 30MB';
+    }
+    return null;
+}
+
+// Decode a file, applying the rotation phone cameras record in EXIF
+async function loadImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            console.warn('createImageBitmap failed, falling back to <img>:', error);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('This image format cannot be read by your browser'));
+        };
+        image.src = url;
+    });
+}
+
+// Draw a source image (or a larger canvas) onto a canvas no larger than maxSide
+function drawScaled(source, maxSide) {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const scale = Math.min(1, maxSide / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so transparent areas would turn black
+    context.fillStyle = '#FFFFFF';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+// Encode a canvas as WebP. Browsers that can't write WebP return PNG instead,
+// in which case JPEG is used.
+export async function encodeCanvas(canvas) {
+    const webp = await canvasToBlob(canvas, 'image/webp', WEBP_QUALITY);
+    if (webp && webp.type === 'image/webp') {
+        return webp;
+    }
+    const jpeg = await canvasToBlob(canvas, 'image/jpeg', JPEG_QUALITY);
+    if (!jpeg) {
+        throw new Error('Could not encode image');
+    }
+    return jpeg;
+}
+
+// Resize an image file into the IMAGE_VARIANTS sizes.
+// Returns { width, height, variants: { full, medium, small } } where width and
+// height are the source dimensions and each variant is
+// { blob, width, height, size, type, extension }.
+export async function processImage(file) {
+    const error = validateImageFile(file);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const image = await loadImage(file);
+    try {
+        const variants = {};
+        // Each size is drawn from the one before it; halving in steps looks
+        // sharper than jumping straight from a 4000px photo to a thumbnail
+        let source = image;
+        for (const [name, maxSide] of Object.entries(IMAGE_VARIANTS)) {
+            const canvas = drawScaled(source, maxSide);
+            const blob = await encodeCanvas(canvas);
+            variants[name] = {
+                blob,
+                width: canvas.width,
+                height: canvas.height,
+                size: blob.size,
+                type: blob.type,
+                extension: blob.type === 'image/webp' ? 'webp' : 'jpg'
+            };
+            source = canvas;
+        }
+
+        return {
+            width: image.naturalWidth || image.width,
+            height: image.naturalHeight || image.height,
+            variants
+        };
+    } finally {
+        image.close?.();
+    }
+}
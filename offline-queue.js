@@ -0,0 +1,307 @@
+// Changes made while offline, kept in IndexedDB until they can be sent.
+//
+// At a book table or on Harinam there is often no signal. Instead of failing,
+// the report form, the follow-up queue and the gallery save what the user did
+// here and send it when the connection returns, in the order it was made.
+//
+// Item statuses:
+//   pending   - waiting to be sent
+//   syncing   - being sent now
+//   conflict  - the record was changed by someone else after it was loaded;
+//               the user decides whether to send theirs anyway or discard it
+//   failed    - refused (e.g. a rule or validation error), or sending was
+//               interrupted; the user retries or discards it
+//
+// Items belong to the user who made them and are only sent while that user is
+// signed in. Reading data offline is handled by Firestore's local cache (see
+// firebase-config.js) and the service worker, not here.
+import { auth, db } from './firebase-config.js';
+import { doc, getDocFromServer } from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js';
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-auth.js';
+import { createActivityReport, updateActivityReport, uploadGalleryImage } from './firebase-data.js';
+import { updateContactStatus, assignContact, updateContactNotes } from './firebase-contacts.js';
+
+const DB_NAME = 'preachers-portal-offline';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+// Firestore and Storage error codes that mean the connection dropped, so the
+// item stays pending rather than failing
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'storage/retry-limit-exceeded', 'storage/unknown'];
+
+// How each kind of change is sent. `collection` names the record a change
+// applies to; those changes are checked for conflicts before being sent.
+const QUEUE_TYPES = {
+    'report.create': {
+        send: item => createActivityReport(item.payload.reportData, item.userId)
+    },
+    'report.update': {
+        collection: 'activityReports',
+        send: item => updateActivityReport(item.targetId, item.payload.reportData, item.userId)
+    },
+    'contact.status': {
+        collection: 'contacts',
+        send: item => updateContactStatus(item.targetId, item.payload.status, item.userId)
+    },
+    'contact.assign': {
+        collection: 'contacts',
+        send: item => assignContact(item.targetId, item.payload.preacherId, item.userId)
+    },
+    'contact.notes': {
+        collection: 'contacts',
+        send: item => updateContactNotes(item.targetId, item.payload.notes, item.userId)
+    },
+    'gallery.upload': {
+        send: item => uploadGalleryImage(item.payload.file, item.payload.category, item.payload.title, item.userId, {
+            albumId: item.payload.albumId || null
+        })
+    }
+};
+
+// The record was changed on the server after the offline edit was made
+export class SyncConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SyncConflictError';
+    }
+}
+
+const listeners = new Set();
+// Tells other open tabs of the portal that the queue changed
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('offline-queue') : null;
+let dbPromise = null;
+let syncing = false;
+
+export function isOffline() {
+    return !navigator.onLine;
+}
+
+// Version of a record to compare against when it is sent: its updatedAt in ms
+export function getRecordVersion(record) {
+    return record?.updatedAt?.toMillis?.() ?? null;
+}
+
+function openQueueDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Run one request against the outbox store and resolve with its result
+async function withStore(mode, makeRequest) {
+    const database = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE, mode);
+        const request = makeRequest(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function notify() {
+    listeners.forEach(listener => listener());
+    channel?.postMessage('changed');
+}
+
+channel?.addEventListener('message', () => listeners.forEach(listener => listener()));
+
+// Run listener() whenever the queue changes, here or in another tab.
+// Returns a function that stops listening.
+export function onQueueChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Save a change to send later.
+// options: {
+//   userId      - who made the change
+//   label       - short description shown to the user, e.g. "Report for 2024-03-05"
+//   targetId    - ID of the record changed, for edits
+//   baseVersion - getRecordVersion() of that record when it was loaded
+// }
+export async function queueChange(type, payload, options) {
+    if (!QUEUE_TYPES[type]) {
+        throw new Error(`Unknown offline change: ${type}`);
+    }
+    if (!options?.userId) {
+        throw new Error('Please log in first');
+    }
+    const item = {
+        type,
+        payload,
+        userId: options.userId,
+        label: options.label || type,
+        targetId: options.targetId || null,
+        baseVersion: options.baseVersion ?? null,
+        status: 'pending',
+        error: null,
+        force: false,
+        queuedAt: Date.now()
+    };
+    item.id = await withStore('readwrite', store => store.add(item));
+    notify();
+    return item;
+}
+
+// Every queued change, oldest first
+export async function listQueuedChanges() {
+    return withStore('readonly', store => store.getAll());
+}
+
+async function updateQueuedChange(id, changes) {
+    const database = await openQueueDb();
+    await new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE, 'readwrite');
+        const store = transaction.objectStore(STORE);
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) {
+                store.put({ ...request.result, ...changes });
+            }
+        };
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+    notify();
+}
+
+// Throw away a queued change without sending it
+export async function discardQueuedChange(id) {
+    await withStore('readwrite', store => store.delete(id));
+    notify();
+}
+
+// Send a failed change again, or a conflicting one over the newer version
+export async function retryQueuedChange(id, { force = false } = {}) {
+    await updateQueuedChange(id, { status: 'pending', error: null, force });
+    syncQueue();
+}
+
+// Compare the record on the server with the version the change was made on
+async function checkForConflict(item, collectionName) {
+    const snapshot = await getDocFromServer(doc(db, collectionName, item.targetId));
+    if (!snapshot.exists()) {
+        throw new Error('This record was deleted while you were offline');
+    }
+    const current = getRecordVersion(snapshot.data());
+    if (item.baseVersion !== null && current !== item.baseVersion) {
+        throw new SyncConflictError('Someone else changed this record while you were offline');
+    }
+}
+
+// Later changes to the same record were made on the same old version; move
+// them onto the version just written so they don't conflict with it
+async function rebaseLaterChanges(item, collectionName) {
+    const snapshot = await getDocFromServer(doc(db, collectionName, item.targetId));
+    const version = getRecordVersion(snapshot.data());
+    const queued = await listQueuedChanges();
+    await Promise.all(queued
+        .filter(other => other.id !== item.id && other.targetId === item.targetId && other.baseVersion === item.baseVersion)
+        .map(other => updateQueuedChange(other.id, { baseVersion: version })));
+}
+
+function isNetworkError(error) {
+    return isOffline() || NETWORK_ERROR_CODES.includes(error?.code);
+}
+
+// A change still 'syncing' when the sync lock is free was being sent when its
+// page closed. It may or may not have arrived, so let the user check rather
+// than send it twice.
+async function failInterruptedChanges(items) {
+    await Promise.all(items
+        .filter(item => item.status === 'syncing')
+        .map(item => updateQueuedChange(item.id, {
+            status: 'failed',
+            error: 'Sending was interrupted. Check whether it arrived before retrying.'
+        })));
+}
+
+// Only one tab sends at a time
+function withSyncLock(callback) {
+    if (!navigator.locks) {
+        return callback();
+    }
+    return navigator.locks.request('offline-queue-sync', { ifAvailable: true }, lock => (lock ? callback() : null));
+}
+
+// Send the signed-in user's pending changes, oldest first. Stops at the first
+// network error; conflicts and failures are left for the user.
+// Returns { sent, remaining }.
+export async function syncQueue() {
+    const userId = auth.currentUser?.uid;
+    if (syncing || isOffline() || !userId) {
+        return { sent: 0, remaining: null };
+    }
+    syncing = true;
+    let sent = 0;
+    try {
+        await withSyncLock(async () => {
+            await failInterruptedChanges(await listQueuedChanges());
+            const queued = (await listQueuedChanges()).filter(item => item.userId === userId);
+            for (const queuedItem of queued) {
+                // Re-read: an earlier change may have rebased this one
+                const item = (await listQueuedChanges()).find(other => other.id === queuedItem.id);
+                if (!item || item.status !== 'pending') {
+                    continue;
+                }
+                const { collection: collectionName, send } = QUEUE_TYPES[item.type];
+                await updateQueuedChange(item.id, { status: 'syncing' });
+                try {
+                    if (collectionName && !item.force) {
+                        await checkForConflict(item, collectionName);
+                    }
+                    await send(item);
+                    if (collectionName) {
+                        await rebaseLaterChanges(item, collectionName);
+                    }
+                    await discardQueuedChange(item.id);
+                    sent++;
+                } catch (error) {
+                    if (error instanceof SyncConflictError) {
+                        await updateQueuedChange(item.id, { status: 'conflict', error: error.message });
+                    } else if (isNetworkError(error)) {
+                        await updateQueuedChange(item.id, { status: 'pending' });
+                        break;
+                    } else {
+                        console.error(`Error sending offline change ${item.label}:`, error);
+                        await updateQueuedChange(item.id, { status: 'failed', error: error.message });
+                    }
+                }
+            }
+        });
+    } finally {
+        syncing = false;
+    }
+    const remaining = (await listQueuedChanges()).filter(item => item.userId === userId).length;
+    if (sent > 0) {
+        console.log(`Sent ${sent} offline changes; ${remaining} left`);
+    }
+    return { sent, remaining };
+}
+
+// Send queued changes whenever the connection returns or the user signs in.
+// onSynced({ sent, remaining }) runs after each sync that sent something.
+export function startAutoSync(onSynced = null) {
+    const run = async () => {
+        const result = await syncQueue();
+        if (result.sent > 0) {
+            onSynced?.(result);
+        }
+    };
+
+    window.addEventListener('online', run);
+    onAuthStateChanged(auth, user => {
+        if (user) {
+            run();
+        }
+    });
+}
@@ -0,0 +1,350 @@
+// Reading historical activity reports from spreadsheets.
+//
+// Temples kept their tallies in Excel before the portal existed. An import
+// reads the first sheet of an XLSX, XLS or CSV file with the XLSX library,
+// maps its columns to report fields and checks every row before anything is
+// written, so the import page can show a dry run with the problems of each
+// row. Saving the valid rows is done by importActivityReports() in
+// firebase-data.js.
+import { getCategoryName, getCategoryFields, collectFields, normalizeReportFields } from './category-fields.js';
+
+// Report fields a column can be mapped to. Headers are matched against the
+// aliases ignoring case, spaces and punctuation, so a file exported from the
+// dashboard can be imported again as it is.
+export const IMPORT_FIELDS = {
+    date: { label: 'Date', required: true, aliases: ['date', 'activitydate', 'reportdate', 'day'] },
+    preacher: { label: 'Preacher', aliases: ['preacher', 'preachername', 'name', 'devotee', 'email', 'submittedby'] },
+    temple: { label: 'Temple', aliases: ['temple', 'centre', 'center', 'branch', 'location'] },
+    activity: { label: 'Activity', required: true, aliases: ['activity', 'category', 'activitytype', 'program', 'programme'] },
+    smallBooks: { label: 'Small Books', aliases: ['smallbooks', 'small'] },
+    mediumBooks: { label: 'Medium Books', aliases: ['mediumbooks', 'medium'] },
+    largeBooks: { label: 'Large Books', aliases: ['largebooks', 'large', 'bigbooks', 'big'] },
+    prasadam: { label: 'Prasadam', aliases: ['prasadam', 'prasadamserved', 'plates'] },
+    contacts: { label: 'Contacts', aliases: ['contacts', 'contactscount', 'contactsmade', 'newcontacts'] },
+    notes: { label: 'Notes', aliases: ['notes', 'remarks', 'comments'] }
+};
+
+// Values accepted for Yes / No fields
+const YES_VALUES = ['yes', 'y', 'true', '1'];
+const NO_VALUES = ['no', 'n', 'false', '0'];
+
+// Most data rows read from one file
+export const MAX_IMPORT_ROWS = 5000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function getXlsx() {
+    if (!globalThis.XLSX) {
+        throw new Error('The spreadsheet library has not loaded. Check your connection and reload the page.');
+    }
+    return globalThis.XLSX;
+}
+
+function headerKey(header) {
+    return String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Read the first sheet of a spreadsheet file.
+// Returns { sheetName, headers, rows } where rows are arrays of cell values in
+// header order. Dates in XLSX files come back as Excel serial numbers, and CSV
+// cells as the text in the file.
+export async function readSpreadsheet(file) {
+    const XLSX = getXlsx();
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', raw: true });
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) {
+        throw new Error('The file has no sheets');
+    }
+    const table = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: '' });
+    const headerIndex = table.findIndex(row => row.some(cell => !isBlank(cell)));
+    if (headerIndex === -1) {
+        throw new Error('The first sheet is empty');
+    }
+
+    const headers = table[headerIndex].map(header => String(header).trim());
+    const rows = table.slice(headerIndex + 1)
+        .map((cells, i) => ({ rowNumber: headerIndex + i + 2, cells }))
+        .filter(row => row.cells.some(cell => !isBlank(cell)));
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`The sheet has ${rows.length} rows; split it into files of at most ${MAX_IMPORT_ROWS}`);
+    }
+    return { sheetName, headers, rows };
+}
+
+// IMPORT_FIELDS plus one 'field:<key>' entry for each extra field of the
+// categories (see category-fields.js), matched by its label or key, and by the
+// "Label (unit)" header of the dashboard export
+export function buildImportFields(categories) {
+    const { notes, ...fields } = IMPORT_FIELDS;
+    collectFields(Object.values(categories)).forEach(field => {
+        const aliases = [field.label, field.key, `${field.label} ${field.unit || ''}`].map(headerKey);
+        fields[`field:${field.key}`] = { label: field.label, fieldKey: field.key, aliases: [...new Set(aliases)] };
+    });
+    fields.notes = notes;
+    return fields;
+}
+
+// Guess which column holds each field from the headers.
+// Returns { field: columnIndex } for the fields that were found.
+export function guessColumnMapping(headers, importFields = IMPORT_FIELDS) {
+    const mapping = {};
+    const keys = headers.map(headerKey);
+    Object.entries(importFields).forEach(([field, { aliases }]) => {
+        const index = aliases.map(alias => keys.indexOf(alias)).find(i => i !== -1);
+        if (index !== undefined && !Object.values(mapping).includes(index)) {
+            mapping[field] = index;
+        }
+    });
+    return mapping;
+}
+
+function toDayKey(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+// Parse a date cell as YYYY-MM-DD, or null when it is not a date.
+// Accepts Excel dates, 2019-03-25, 25/03/2019 (day first, as written in
+// Malaysia), 25-03-19 and 25 Mar 2019.
+export function parseDateCell(value) {
+    if (typeof value === 'number') {
+        const parsed = getXlsx().SSF.parse_date_code(value);
+        return parsed && parsed.y > 1900 ? toDayKey(parsed.y, parsed.m, parsed.d) : null;
+    }
+    if (value instanceof Date) {
+        return toDayKey(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    const text = String(value ?? '').trim();
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (match) {
+        return toDayKey(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return toDayKey(year, Number(match[2]), Number(match[1]));
+    }
+    match = text.match(/^(\d{1,2})[\s-]+([a-z]+)[\s,-]+(\d{4})$/i);
+    if (match) {
+        const month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+        return month ? toDayKey(Number(match[3]), month, Number(match[1])) : null;
+    }
+    return null;
+}
+
+// Parse a count cell as a whole number of 0 or more. Blank cells count as 0;
+// returns null for anything else that is not a count.
+export function parseCountCell(value) {
+    if (isBlank(value)) {
+        return 0;
+    }
+    const count = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+    return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+// Parse a cell for a category field: numbers may have decimals, Yes / No
+// fields take yes/no, true/false or 1/0. Returns undefined when the cell can't
+// be read; further checks are left to normalizeReportFields().
+function parseFieldCell(field, value) {
+    if (field.type === 'number') {
+        const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+        return Number.isFinite(number) ? number : undefined;
+    }
+    if (field.type === 'boolean') {
+        const text = String(value).trim().toLowerCase();
+        if (YES_VALUES.includes(text)) {
+            return true;
+        }
+        return NO_VALUES.includes(text) ? false : undefined;
+    }
+    return String(value).trim();
+}
+
+function findUniqueMatch(items, matches) {
+    const found = items.filter(matches);
+    return found.length === 1 ? found[0] : null;
+}
+
+// Check the rows of a sheet and turn the good ones into reports.
+// context: {
+//   categories      - preaching categories by ID
+//   users           - user profiles by ID, to match preachers and temples
+//   actor           - the importing user's profile
+//   allTemples      - whether the actor may import for any temple; otherwise
+//                     only for actor.temple
+//   today           - YYYY-MM-DD; later dates are refused
+// }
+// Returns one entry per row: { rowNumber, values, report, errors, warnings }.
+// report is null when the row has errors. Warnings do not stop a row from
+// being imported.
+export function validateImportRows(rows, mapping, context) {
+    const { categories, users, actor, allTemples, today } = context;
+    const importFields = buildImportFields(categories);
+    const categoryList = Object.entries(categories).map(([id, category]) => ({
+        id,
+        name: getCategoryName(category),
+        archived: category.archived === true,
+        category
+    }));
+    const userList = Object.entries(users).map(([uid, user]) => ({ uid, ...user }));
+    const knownTemples = [...new Set(userList.map(user => user.temple).filter(Boolean))];
+    const seen = {};
+
+    return rows.map(({ rowNumber, cells }) => {
+        const values = {};
+        Object.keys(importFields).forEach(field => {
+            values[field] = mapping[field] === undefined ? '' : cells[mapping[field]] ?? '';
+        });
+        const errors = [];
+        const warnings = [];
+
+        const date = parseDateCell(values.date);
+        if (!date) {
+            errors.push(isBlank(values.date) ? 'Date is missing' : `"${values.date}" is not a date`);
+        } else if (date > today) {
+            errors.push('Date is in the future');
+        }
+
+        const activityName = String(values.activity).trim();
+        const category = activityName
+            ? findUniqueMatch(categoryList, item => item.name.toLowerCase() === activityName.toLowerCase())
+            : null;
+        if (!activityName) {
+            errors.push('Activity is missing');
+        } else if (!category) {
+            errors.push(`Unknown activity "${activityName}"`);
+        } else if (category.archived) {
+            warnings.push(`${category.name} is archived; its reports are still counted`);
+        }
+
+        // Preachers are matched by email or exact name; others keep the name from the sheet
+        const preacherName = String(values.preacher).trim();
+        let preacher = null;
+        if (preacherName) {
+            const name = preacherName.toLowerCase();
+            preacher = findUniqueMatch(userList, user => (user.email || '').toLowerCase() === name) ||
+                findUniqueMatch(userList, user =>
+                    [user.displayName, user.name].some(value => (value || '').toLowerCase() === name));
+            if (!preacher) {
+                warnings.push(`No account for preacher "${preacherName}"; the name is kept on the report`);
+            }
+        }
+
+        let temple = String(values.temple).trim() || preacher?.temple || '';
+        temple = knownTemples.find(known => known.toLowerCase() === temple.toLowerCase()) || temple;
+        if (!temple) {
+            errors.push('Temple is missing');
+        } else if (!allTemples && temple !== actor.temple) {
+            errors.push(`You can only import reports for ${actor.temple || 'your own temple'}`);
+        } else if (!knownTemples.includes(temple)) {
+            warnings.push(`"${temple}" is not the temple of any user yet`);
+        }
+
+        const counts = {};
+        ['smallBooks', 'mediumBooks', 'largeBooks', 'prasadam', 'contacts'].forEach(field => {
+            counts[field] = parseCountCell(values[field]);
+            if (counts[field] === null) {
+                errors.push(`${IMPORT_FIELDS[field].label} must be a whole number of 0 or more`);
+            }
+        });
+        // Extra fields of the row's category; values for other categories' fields are left out
+        let fields = {};
+        if (category) {
+            const categoryFields = getCategoryFields(category.category);
+            const fieldValues = {};
+            Object.values(importFields).filter(({ fieldKey }) => fieldKey).forEach(({ label, fieldKey }) => {
+                const value = values[`field:${fieldKey}`];
+                const field = categoryFields.find(categoryField => categoryField.key === fieldKey);
+                if (isBlank(value)) {
+                    return;
+                }
+                if (!field) {
+                    warnings.push(`${label} is not recorded for ${category.name} and will be left out`);
+                    return;
+                }
+                fieldValues[fieldKey] = parseFieldCell(field, value);
+                if (fieldValues[fieldKey] === undefined) {
+                    errors.push(field.type === 'boolean' ? `${field.label} must be Yes or No` : `${field.label} must be a number of 0 or more`);
+                }
+            });
+            try {
+                fields = normalizeReportFields(category.category, fieldValues);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        // The same outing listed twice is usually a copy-paste slip
+        const duplicateKey = [date, temple.toLowerCase(), category?.id, preacherName.toLowerCase()].join('|');
+        if (date && category && seen[duplicateKey]) {
+            warnings.push(`Same date, temple, activity and preacher as row ${seen[duplicateKey]}`);
+        } else {
+            seen[duplicateKey] = rowNumber;
+        }
+
+        if (errors.length > 0) {
+            return { rowNumber, values, report: null, errors, warnings };
+        }
+
+        const report = {
+            categoryId: category.id,
+            categoryName: category.name,
+            date,
+            booksDistributed: { small: counts.smallBooks, medium: counts.mediumBooks, big: counts.largeBooks },
+            prasadamServed: counts.prasadam,
+            // Old tallies count contacts without their names
+            contacts: [],
+            contactsCount: counts.contacts,
+            notes: String(values.notes).trim(),
+            temple,
+            createdBy: preacher?.uid || null
+        };
+        if (!preacher && preacherName) {
+            report.preacherName = preacherName;
+        }
+        if (Object.keys(fields).length > 0) {
+            report.fields = fields;
+        }
+        return { rowNumber, values, report, errors, warnings };
+    });
+}
+
+// The outing a report records: its date, temple, activity and preacher. Rows
+// for preachers without an account are matched on the name kept from the sheet.
+function outingKey({ date, temple, categoryId, createdBy, preacherName }) {
+    const preacher = preacherName ? `name:${preacherName.toLowerCase()}` : `uid:${createdBy}`;
+    return [date, (temple || '').toLowerCase(), categoryId, preacher].join('|');
+}
+
+// Warn about rows that repeat a report already in the portal, such as a sheet
+// imported twice. existingReports are the saved reports over the sheet's dates
+// (see fetchReportsBetween); actorId is the importing user, who is credited
+// with rows that name no preacher. Adds to the warnings of `results` from
+// validateImportRows() and returns them.
+export function flagExistingReports(results, existingReports, actorId) {
+    const saved = {};
+    existingReports.forEach(report => {
+        const key = outingKey(report);
+        saved[key] = saved[key] || report;
+    });
+    results.forEach(result => {
+        if (!result.report) {
+            return;
+        }
+        const match = saved[outingKey({ ...result.report, createdBy: result.report.createdBy || actorId })];
+        if (match) {
+            result.warnings.push(match.importId
+                ? 'Same date, temple, activity and preacher as a report from an earlier import'
+                : 'Same date, temple, activity and preacher as a report already in the portal');
+        }
+    });
+    return results;
+}
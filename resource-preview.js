@@ -0,0 +1,150 @@
+// Thumbnails and in-browser previews for preaching resources.
+//
+// When a PDF, image or video is uploaded, a small thumbnail of its first page
+// or frame is made in the browser and stored next to the file, so resource
+// cards can show what is inside without downloading it. PDFs are rendered with
+// PDF.js, loaded from the CDN only when a PDF is uploaded.
+import { encodeCanvas } from './image-processing.js';
+
+const PDFJS_VERSION = '4.0.379';
+const PDFJS_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.mjs`;
+const PDFJS_WORKER_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.mjs`;
+
+// Width of stored thumbnails; cards show them at about half this size
+export const THUMBNAIL_WIDTH = 480;
+
+// Thumbnails are cropped to this height at most, so tall pages keep their top
+const MAX_THUMBNAIL_HEIGHT = 640;
+
+// Seconds into a video to take its thumbnail from, skipping black intro frames
+const VIDEO_THUMBNAIL_TIME = 2;
+
+function isPdf(type, extension) {
+    return type === 'application/pdf' || extension === 'pdf';
+}
+
+// How a resource can be previewed: 'pdf', 'image', 'video', 'audio', or null
+// when it can only be downloaded. Videos and audio count only if this browser
+// can play their format.
+export function getPreviewType(resource) {
+    const type = (resource.type || '').toLowerCase();
+    const extension = (resource.fileExtension || '').toLowerCase();
+    if (isPdf(type, extension)) {
+        return 'pdf';
+    }
+    if (type.startsWith('image/')) {
+        return 'image';
+    }
+    if (type.startsWith('video/') && document.createElement('video').canPlayType(type)) {
+        return 'video';
+    }
+    if (type.startsWith('audio/') && document.createElement('audio').canPlayType(type)) {
+        return 'audio';
+    }
+    return null;
+}
+
+// Draw a page, image or video frame at THUMBNAIL_WIDTH, cropping the bottom of
+// anything taller than MAX_THUMBNAIL_HEIGHT
+function drawThumbnail(source, width, height) {
+    const scale = Math.min(1, THUMBNAIL_WIDTH / width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.min(MAX_THUMBNAIL_HEIGHT, Math.round(height * scale)));
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#FFFFFF';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, Math.round(width * scale), Math.round(height * scale));
+    return canvas;
+}
+
+async function loadPdfJs() {
+    const pdfjs = await import(PDFJS_URL);
+    pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    return pdfjs;
+}
+
+async function renderPdfFirstPage(file) {
+    const pdfjs = await loadPdfJs();
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+    try {
+        const page = await pdf.getPage(1);
+        const unscaled = page.getViewport({ scale: 1 });
+        // Render at thumbnail size directly instead of drawing the full page
+        const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / unscaled.width });
+        const pageCanvas = document.createElement('canvas');
+        pageCanvas.width = Math.round(viewport.width);
+        pageCanvas.height = Math.round(viewport.height);
+        await page.render({ canvasContext: pageCanvas.getContext('2d'), viewport, background: '#FFFFFF' }).promise;
+        return drawThumbnail(pageCanvas, pageCanvas.width, pageCanvas.height);
+    } finally {
+        pdf.destroy();
+    }
+}
+
+// Wait for a media element event, failing on a load error
+function waitFor(element, eventName) {
+    return new Promise((resolve, reject) => {
+        element.addEventListener(eventName, resolve, { once: true });
+        element.addEventListener('error', () => reject(new Error('This file cannot be read by your browser')), { once: true });
+    });
+}
+
+async function renderImage(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const image = new Image();
+        image.src = url;
+        await waitFor(image, 'load');
+        return drawThumbnail(image, image.naturalWidth, image.naturalHeight);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+async function renderVideoFrame(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.src = url;
+        await waitFor(video, 'loadeddata');
+        video.currentTime = Math.min(VIDEO_THUMBNAIL_TIME, (video.duration || 0) / 2);
+        await waitFor(video, 'seeked');
+        return drawThumbnail(video, video.videoWidth, video.videoHeight);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Make a thumbnail of a resource file before it is uploaded.
+// Returns { blob, width, height, type, extension }, or null for files without
+// a thumbnail (documents, audio, archives and formats the browser can't read).
+export async function createResourceThumbnail(file) {
+    const type = (file.type || '').toLowerCase();
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    let canvas = null;
+    if (isPdf(type, extension)) {
+        canvas = await renderPdfFirstPage(file);
+    } else if (type.startsWith('image/')) {
+        canvas = await renderImage(file);
+    } else if (type.startsWith('video/') && document.createElement('video').canPlayType(type)) {
+        canvas = await renderVideoFrame(file);
+    }
+    if (!canvas) {
+        return null;
+    }
+
+    const blob = await encodeCanvas(canvas);
+    return {
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        type: blob.type,
+        extension: blob.type === 'image/webp' ? 'webp' : 'jpg'
+    };
+}
@@ -0,0 +1,194 @@
+// Search and faceted filtering for preaching resources.
+//
+// There are few enough resources to search in the browser. buildResourceIndex()
+// builds an inverted index over each resource's title, tags and description,
+// and searchResources() ranks the matches and counts the language, audience
+// and tag facets among them.
+//
+// Words match by prefix ("krish" finds "Krishna"). Chinese has no spaces, so
+// Han characters are indexed one by one and in pairs.
+
+export const RESOURCE_LANGUAGES = {
+    en: 'English',
+    ms: 'Malay',
+    ta: 'Tamil',
+    zh: 'Chinese'
+};
+
+export const RESOURCE_AUDIENCES = {
+    general: 'General Public',
+    students: 'Students',
+    youth: 'Youth',
+    families: 'Families',
+    children: 'Children',
+    devotees: 'Devotees'
+};
+
+export const MAX_RESOURCE_TAGS = 10;
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = { title: 5, tags: 3, description: 1 };
+
+// A whole-word match counts this many times more than a prefix match
+const EXACT_MATCH_BONUS = 2;
+
+const HAN_RUN = /[㐀-鿿豈-﫿]+|[^㐀-鿿豈-﫿]+/g;
+const HAN = /[㐀-鿿豈-﫿]/;
+
+// Clean up tags typed as a comma-separated string or given as a list:
+// lowercase, no punctuation, no duplicates, at most MAX_RESOURCE_TAGS
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const cleaned = list
+        .map(tag => String(tag).toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    return [...new Set(cleaned)].slice(0, MAX_RESOURCE_TAGS);
+}
+
+// Split text into lowercase search terms. Accents are dropped from Latin
+// letters; Tamil vowel signs are kept as part of their word.
+export function tokenize(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[̀-ͯ]/g, '')
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+
+    const tokens = [];
+    words.forEach(word => {
+        word.match(HAN_RUN).forEach(run => {
+            if (!HAN.test(run)) {
+                tokens.push(run);
+                return;
+            }
+            const chars = Array.from(run);
+            chars.forEach((char, i) => {
+                tokens.push(char);
+                if (i > 0) {
+                    tokens.push(chars[i - 1] + char);
+                }
+            });
+        });
+    });
+    return tokens;
+}
+
+// Build the search index for a list of resources
+export function buildResourceIndex(resources) {
+    const terms = new Map();
+    const addTerms = (id, text, weight) => {
+        new Set(tokenize(text)).forEach(term => {
+            if (!terms.has(term)) {
+                terms.set(term, new Map());
+            }
+            const postings = terms.get(term);
+            postings.set(id, (postings.get(id) || 0) + weight);
+        });
+    };
+
+    resources.forEach(resource => {
+        addTerms(resource.id, resource.title, FIELD_WEIGHTS.title);
+        addTerms(resource.id, (resource.tags || []).join(' '), FIELD_WEIGHTS.tags);
+        addTerms(resource.id, resource.description, FIELD_WEIGHTS.description);
+    });
+
+    return { resources, terms };
+}
+
+// Relevance of every resource matching all the words of a query, by ID.
+// Returns null for an empty query (everything matches).
+function scoreQuery(index, queryText) {
+    const queryTokens = [...new Set(tokenize(queryText))];
+    if (queryTokens.length === 0) {
+        return null;
+    }
+
+    let scores = null;
+    for (const queryToken of queryTokens) {
+        // Best match of this word in each resource
+        const tokenScores = new Map();
+        index.terms.forEach((postings, term) => {
+            if (!term.startsWith(queryToken)) {
+                return;
+            }
+            const bonus = term === queryToken ? EXACT_MATCH_BONUS : 1;
+            postings.forEach((weight, id) => {
+                tokenScores.set(id, Math.max(tokenScores.get(id) || 0, weight * bonus));
+            });
+        });
+
+        if (scores === null) {
+            scores = tokenScores;
+        } else {
+            const combined = new Map();
+            scores.forEach((score, id) => {
+                if (tokenScores.has(id)) {
+                    combined.set(id, score + tokenScores.get(id));
+                }
+            });
+            scores = combined;
+        }
+        if (scores.size === 0) {
+            break;
+        }
+    }
+    return scores;
+}
+
+function byNewest(a, b) {
+    return new Date(b.uploadedAt || 0) - new Date(a.uploadedAt || 0);
+}
+
+const SORTS = {
+    // Best match first; without a query, the most recent first
+    relevance: (a, b) => (b.score - a.score) || byNewest(a, b),
+    downloads: (a, b) => ((b.downloads || 0) - (a.downloads || 0)) || byNewest(a, b),
+    newest: byNewest,
+    oldest: (a, b) => byNewest(b, a),
+    name: (a, b) => (a.title || '').localeCompare(b.title || '')
+};
+
+// Search an index.
+// options: { query, language, audience, tags (all must match), sort }
+//   sort: 'relevance' | 'downloads' | 'newest' | 'oldest' | 'name'
+// Returns { results, facets } where each result is the resource with its
+// `score`, and facets counts the matches per language, audience and tag. Each
+// facet is counted with the other filters applied but not its own, so the
+// counts show what choosing another value would give.
+export function searchResources(index, options = {}) {
+    const { query = '', language = '', audience = '', tags = [], sort = 'relevance' } = options;
+    const scores = scoreQuery(index, query);
+    const matches = index.resources
+        .filter(resource => scores === null || scores.has(resource.id))
+        .map(resource => ({ ...resource, score: scores?.get(resource.id) || 0 }));
+
+    const filters = {
+        language: resource => !language || resource.language === language,
+        audience: resource => !audience || resource.audience === audience,
+        tags: resource => tags.every(tag => (resource.tags || []).includes(tag))
+    };
+    const applyFilters = (except = null) => matches.filter(resource =>
+        Object.entries(filters).every(([name, filter]) => name === except || filter(resource))
+    );
+
+    const count = (resources, getValues) => {
+        const counts = {};
+        resources.forEach(resource => {
+            getValues(resource).filter(Boolean).forEach(value => {
+                counts[value] = (counts[value] || 0) + 1;
+            });
+        });
+        return counts;
+    };
+
+    const results = applyFilters().sort(SORTS[sort] || SORTS.relevance);
+    return {
+        results,
+        facets: {
+            language: count(applyFilters('language'), resource => [resource.language]),
+            audience: count(applyFilters('audience'), resource => [resource.audience]),
+            tags: count(results, resource => resource.tags || [])
+        }
+    };
+}
@@ -0,0 +1,127 @@
+// Role hierarchy and permission matrix for the portal.
+//
+// Roles, lowest to highest:
+//   preacher            - submits and manages their own reports
+//   temple_coordinator  - also manages reports, targets and media for their own temple
+//   admin               - manages everything across all temples
+//   super_admin         - also manages categories and can make other admins
+//
+// The role is read from the `role` field of the user's document in `users`.
+// The Firestore and Storage rules enforce the same matrix; keep them in step
+// when changing it.
+
+export const ROLES = ['preacher', 'temple_coordinator', 'admin', 'super_admin'];
+
+export const ROLE_LABELS = {
+    preacher: 'Preacher',
+    temple_coordinator: 'Temple Coordinator',
+    admin: 'Admin',
+    super_admin: 'Super Admin'
+};
+
+// Values older user documents used for the same roles
+const LEGACY_ROLES = {
+    user: 'preacher',
+    member: 'preacher',
+    coordinator: 'temple_coordinator',
+    'temple coordinator': 'temple_coordinator',
+    'super admin': 'super_admin',
+    superadmin: 'super_admin'
+};
+
+// How far each role's permission reaches:
+//   'all'    - any record
+//   'temple' - records belonging to the user's own temple
+//   'own'    - records the user created (or is assigned to)
+//   missing  - not allowed
+export const PERMISSIONS = {
+    'reports.create':     { preacher: 'own', temple_coordinator: 'own',    admin: 'own', super_admin: 'own' },
+    'reports.update':     { preacher: 'own', temple_coordinator: 'temple', admin: 'all', super_admin: 'all' },
+    'reports.delete':     { preacher: 'own', temple_coordinator: 'temple', admin: 'all', super_admin: 'all' },
+    'reports.backfill':   { admin: 'all', super_admin: 'all' },
+    'reports.import':     { temple_coordinator: 'temple', admin: 'all', super_admin: 'all' },
+    'contacts.manage':    { preacher: 'own', temple_coordinator: 'temple', admin: 'all', super_admin: 'all' },
+    'contacts.delete':    { admin: 'all', super_admin: 'all' },
+    'messages.manage':    { admin: 'all', super_admin: 'all' },
+    'targets.manage':     { temple_coordinator: 'temple', admin: 'all', super_admin: 'all' },
+    'gallery.upload':     { preacher: 'own', temple_coordinator: 'own',    admin: 'own', super_admin: 'own' },
+    'gallery.delete':     { preacher: 'own', temple_coordinator: 'own',    admin: 'all', super_admin: 'all' },
+    'gallery.manage':     { admin: 'all', super_admin: 'all' },
+    'gallery.moderate':   { temple_coordinator: 'temple', admin: 'all', super_admin: 'all' },
+    'albums.manage':      { preacher: 'own', temple_coordinator: 'temple', admin: 'all', super_admin: 'all' },
+    'resources.upload':   { admin: 'own', super_admin: 'own' },
+    'resources.update':   { admin: 'all', super_admin: 'all' },
+    'resources.delete':   { admin: 'all', super_admin: 'all' },
+    'resources.analytics': { admin: 'all', super_admin: 'all' },
+    'aggregates.rebuild': { admin: 'all', super_admin: 'all' },
+    'categories.manage':  { super_admin: 'all' },
+    'users.manage':       { admin: 'all', super_admin: 'all' },
+    'auditLog.view':      { admin: 'all', super_admin: 'all' },
+    'trash.manage':       { admin: 'all', super_admin: 'all' },
+    'users.assignRole':   { admin: 'all', super_admin: 'all' },
+    'users.migrateRoles': { super_admin: 'all' }
+};
+
+// Turn a stored role value into one of ROLES. Unknown values get the
+// least-privileged role rather than being guessed at.
+export function normalizeRole(role) {
+    const value = String(role || '').toLowerCase().trim();
+    if (ROLES.includes(value)) {
+        return value;
+    }
+    if (LEGACY_ROLES[value]) {
+        return LEGACY_ROLES[value];
+    }
+    if (value) {
+        console.warn(`Unknown role "${role}", treating as preacher`);
+    }
+    return 'preacher';
+}
+
+// Position of a role in the hierarchy (higher is more privileged)
+export function getRoleRank(role) {
+    return ROLES.indexOf(normalizeRole(role));
+}
+
+export function isAdminRole(role) {
+    return getRoleRank(role) >= getRoleRank('admin');
+}
+
+// Check whether a user may perform an action on a record.
+// actor:  { uid, role, temple, disabled }
+// record: the report, image, target, etc. Ownership is read from
+//         createdBy / uploadedBy / assignedTo, and the temple from `temple`.
+export function hasPermission(actor, permission, record = null) {
+    // Deactivated accounts keep their role but can no longer do anything
+    if (!actor || !actor.uid || actor.disabled) {
+        return false;
+    }
+
+    const scope = PERMISSIONS[permission]?.[normalizeRole(actor.role)];
+    if (!scope) {
+        return false;
+    }
+    // Without a record, the question is whether the action is available at all
+    if (scope === 'all' || !record) {
+        return true;
+    }
+    // A temple-wide permission also covers the user's own records
+    const owner = record.createdBy || record.uploadedBy || record.assignedTo;
+    if (scope === 'temple' && !!actor.temple && record.temple === actor.temple) {
+        return true;
+    }
+    return owner === actor.uid;
+}
+
+// Roles a user may give to others: admins appoint preachers and temple
+// coordinators, super admins appoint anyone
+export function getAssignableRoles(actorRole) {
+    const role = normalizeRole(actorRole);
+    if (role === 'super_admin') {
+        return [...ROLES];
+    }
+    if (role === 'admin') {
+        return ['preacher', 'temple_coordinator'];
+    }
+    return [];
+}
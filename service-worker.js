@@ -0,0 +1,161 @@
+// Service worker that lets the portal open without a connection.
+//
+// The pages, their scripts and the Firebase SDK modules are cached when the
+// worker is installed. Pages and the portal's own scripts are fetched from the
+// network first so changes show up straight away, falling back to the cache
+// when the network fails or is too slow. The versioned Firebase modules never
+// change and are served from the cache; other CDN files (Tailwind, icons,
+// charts) are served from the cache and refreshed in the background.
+//
+// Firestore and Storage requests are not touched: the last-loaded data comes
+// from Firestore's own local cache, and changes made offline are queued by
+// offline-queue.js.
+//
+// Bump CACHE_VERSION whenever PRECACHE_URLS changes.
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = `portal-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `portal-runtime-${CACHE_VERSION}`;
+
+const FIREBASE_SDK_URL = 'https://www.gstatic.com/firebasejs/9.22.2/';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './gallery.html',
+    './contacts.html',
+    './admin-users.html',
+    './audit-log.html',
+    './categories.html',
+    './import-reports.html',
+    './messages.html',
+    './moderation.html',
+    './resource-analytics.html',
+    './trash.html',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './category-fields.js',
+    './collection-cache.js',
+    './firebase-config.js',
+    './firebase-data.js',
+    './firebase-aggregates.js',
+    './functions/impact-rollup.js',
+    './firebase-audit.js',
+    './firebase-contacts.js',
+    './firebase-downloads.js',
+    './firebase-messages.js',
+    './html-utils.js',
+    './image-processing.js',
+    './offline-queue.js',
+    './report-import.js',
+    './resource-preview.js',
+    './resource-search.js',
+    './roles.js',
+    './sync-status.js',
+    './upload-queue.js'
+];
+
+const FIREBASE_SDK_MODULES = ['firebase-app.js', 'firebase-auth.js', 'firebase-firestore.js', 'firebase-storage.js']
+    .map(name => FIREBASE_SDK_URL + name);
+
+// Third-party hosts whose files are cached as they are used
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'static.readdy.ai'];
+
+// How long to wait for the network before serving a cached page or script
+const NETWORK_TIMEOUT = 4000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(PRECACHE_URLS);
+        // A CDN hiccup should not stop the worker from installing
+        await Promise.allSettled(FIREBASE_SDK_MODULES.map(url => cache.add(url)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, RUNTIME_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('portal-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Network first; the cached copy when the network fails or takes too long
+async function networkFirst(request, fallbackUrl = null) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await Promise.race([
+            fetch(request),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT))
+        ]);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// The cached copy at once, refreshed from the network for next time
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            // Classic CDN scripts and images come back opaque (status 0)
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) {
+                throw error;
+            }
+            return cached;
+        });
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, './index.html'));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (request.url.startsWith(FIREBASE_SDK_URL)) {
+        event.respondWith(cacheFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else (Firestore, Storage, Auth) goes straight to the network
+});
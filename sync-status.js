@@ -0,0 +1,146 @@
+// Connection and offline-queue status shown in the corner of the portal pages.
+//
+// A small badge says when the portal is offline, how many changes are waiting
+// to be sent, and when some need attention. Clicking it opens a list of the
+// queued changes where conflicts can be sent anyway and failures retried or
+// discarded (see offline-queue.js).
+import {
+    isOffline,
+    onQueueChange,
+    listQueuedChanges,
+    retryQueuedChange,
+    discardQueuedChange,
+    startAutoSync
+} from './offline-queue.js';
+import { auth } from './firebase-config.js';
+import { escapeHtml } from './html-utils.js';
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/9.22.2/firebase-auth.js';
+
+const STATUS_LABELS = {
+    pending: { label: 'Waiting', color: 'text-gray-500' },
+    syncing: { label: 'Sending', color: 'text-blue-600' },
+    conflict: { label: 'Conflict', color: 'text-amber-600' },
+    failed: { label: 'Not sent', color: 'text-red-600' }
+};
+
+function showToast(message) {
+    const toast = document.createElement('div');
+    toast.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-[10001]';
+    toast.innerHTML = `
+        <div class="flex items-center">
+            <i class="ri-check-line mr-2"></i>
+            <span>${escapeHtml(message)}</span>
+        </div>
+    `;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 5000);
+}
+
+// Add the badge and list to the page and start sending queued changes when
+// the connection returns. onSynced({ sent, remaining }) lets the page reload
+// its data after queued changes were sent.
+export function mountSyncStatus(onSynced = null) {
+    const root = document.createElement('div');
+    root.className = 'fixed bottom-4 left-4 z-[10000] max-w-sm';
+    root.innerHTML = `
+        <div id="sync-panel" class="hidden bg-white rounded-lg shadow-xl mb-2 max-h-[60vh] overflow-y-auto">
+            <div class="flex justify-between items-center px-4 py-3 border-b">
+                <h3 class="font-semibold text-gray-800">Changes made offline</h3>
+                <button id="sync-panel-close" class="text-gray-400 hover:text-gray-600 text-xl"><i class="ri-close-line"></i></button>
+            </div>
+            <ul id="sync-items" class="divide-y divide-gray-100 text-sm"></ul>
+        </div>
+        <button id="sync-badge" class="hidden items-center px-4 py-2 rounded-full shadow-lg text-sm text-white"></button>
+    `;
+    document.body.appendChild(root);
+
+    const panel = root.querySelector('#sync-panel');
+    const badge = root.querySelector('#sync-badge');
+    let items = [];
+
+    const render = () => {
+        const mine = items.filter(item => item.userId === auth.currentUser?.uid);
+        const attention = mine.filter(item => ['conflict', 'failed'].includes(item.status)).length;
+        const sending = mine.some(item => item.status === 'syncing');
+
+        let text = '';
+        let color = 'bg-gray-700';
+        let icon = 'ri-wifi-off-line';
+        if (attention > 0) {
+            text = `${attention} change${attention === 1 ? '' : 's'} need${attention === 1 ? 's' : ''} attention`;
+            color = 'bg-red-500';
+            icon = 'ri-error-warning-line';
+        } else if (sending) {
+            text = `Sending ${mine.length} change${mine.length === 1 ? '' : 's'}...`;
+            color = 'bg-blue-500';
+            icon = 'ri-loader-4-line animate-spin';
+        } else if (isOffline()) {
+            text = mine.length > 0
+                ? `Offline · ${mine.length} change${mine.length === 1 ? '' : 's'} waiting`
+                : 'Offline · showing saved data';
+        } else if (mine.length > 0) {
+            text = `${mine.length} change${mine.length === 1 ? '' : 's'} waiting`;
+            icon = 'ri-time-line';
+        }
+        badge.innerHTML = `<i class="${icon} mr-2"></i>${escapeHtml(text)}`;
+        badge.className = `${text ? 'flex' : 'hidden'} items-center px-4 py-2 rounded-full shadow-lg text-sm text-white ${color}`;
+        if (mine.length === 0) {
+            panel.classList.add('hidden');
+        }
+
+        root.querySelector('#sync-items').innerHTML = mine.map(item => {
+            const status = STATUS_LABELS[item.status] || STATUS_LABELS.pending;
+            return `
+                <li class="px-4 py-3">
+                    <div class="flex justify-between gap-2">
+                        <span class="font-medium text-gray-800">${escapeHtml(item.label)}</span>
+                        <span class="${status.color} whitespace-nowrap">${status.label}</span>
+                    </div>
+                    <div class="text-xs text-gray-400">Made ${new Date(item.queuedAt).toLocaleString()}</div>
+                    ${item.error ? `<div class="text-xs text-red-600 mt-1">${escapeHtml(item.error)}</div>` : ''}
+                    ${['conflict', 'failed'].includes(item.status) ? `
+                        <div class="flex gap-3 mt-2">
+                            <button data-action="${item.status === 'conflict' ? 'force' : 'retry'}" data-id="${item.id}" class="text-primary hover:underline">
+                                ${item.status === 'conflict' ? 'Send Mine Anyway' : 'Retry'}
+                            </button>
+                            <button data-action="discard" data-id="${item.id}" class="text-red-500 hover:underline">Discard</button>
+                        </div>
+                    ` : ''}
+                </li>
+            `;
+        }).join('');
+    };
+
+    const refresh = async () => {
+        items = await listQueuedChanges();
+        render();
+    };
+
+    badge.addEventListener('click', () => panel.classList.toggle('hidden'));
+    root.querySelector('#sync-panel-close').addEventListener('click', () => panel.classList.add('hidden'));
+    root.querySelector('#sync-items').addEventListener('click', async (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+        const id = Number(button.dataset.id);
+        if (button.dataset.action === 'discard') {
+            if (confirm('Discard this change? It will not be sent.')) {
+                await discardQueuedChange(id);
+            }
+        } else {
+            await retryQueuedChange(id, { force: button.dataset.action === 'force' });
+        }
+    });
+
+    window.addEventListener('online', render);
+    window.addEventListener('offline', render);
+    onAuthStateChanged(auth, render);
+    onQueueChange(refresh);
+    refresh();
+
+    startAutoSync(result => {
+        showToast(`${result.sent} change${result.sent === 1 ? '' : 's'} made offline ${result.sent === 1 ? 'was' : 'were'} sent`);
+        onSynced?.(result);
+    });
+}
@@ -0,0 +1,389 @@
+// Firestore rules: the permission matrix in roles.js, tried as every kind of user
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    arrayUnion,
+    collection,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    increment,
+    query,
+    serverTimestamp,
+    setDoc,
+    updateDoc,
+    where,
+    writeBatch
+} from 'firebase/firestore';
+import {
+    ACTIVE_USERS,
+    ACTORS,
+    USERS,
+    checkActors,
+    contextFor,
+    createTestEnvironment,
+    seedFirestore
+} from './helpers.js';
+
+const ADMINS = ['admin', 'superAdmin'];
+
+// One report, target, gallery image and resource per temple
+const DOCUMENTS = {
+    'activityReports/reportA': { createdBy: 'preacherA', temple: 'Temple A', date: '2024-05-01', notes: '' },
+    'activityReports/reportB': { createdBy: 'preacherB', temple: 'Temple B', date: '2024-05-01', notes: '' },
+    'targets/targetA': { temple: 'Temple A', metric: 'books', goal: 100 },
+    'targets/targetB': { temple: 'Temple B', metric: 'books', goal: 100 },
+    'galleryImages/imageA': { uploadedBy: 'preacherA', temple: 'Temple A', status: 'pending', title: 'Harinam', albumId: null },
+    'galleryImages/imageB': { uploadedBy: 'preacherB', temple: 'Temple B', status: 'pending', title: 'Harinam', albumId: null },
+    // A temple B photo waiting for moderation in a temple A preacher's album
+    'albums/albumA': { createdBy: 'preacherA', temple: 'Temple A', name: 'Ratha Yatra' },
+    'galleryImages/imageInAlbumA': { uploadedBy: 'preacherB', temple: 'Temple B', status: 'pending', title: 'Ratha Yatra', albumId: 'albumA' },
+    'preachingCategories/bookTable': { name: 'Book Table' },
+    'preachingResources/resource1': { title: 'Bhagavad-gita', uploadedBy: 'admin', downloads: 0, isActive: true },
+    'auditLog/entry1': { actorId: 'admin', action: 'report.delete' },
+    'contactMessages/message1': { name: 'Visitor', email: 'visitor@example.com', status: 'new' },
+    'impactAggregates/totals': { scope: 'total', key: 'totals', reports: 2, books: 20, prasadam: 0, livesTouched: 2, contacts: 2 },
+    'contacts/+60123456789': {
+        name: 'Radha',
+        phone: '012-345 6789',
+        nameKey: 'radha',
+        normalizedPhone: '+60123456789',
+        temple: 'Temple A',
+        status: 'new',
+        assignedTo: 'preacherA',
+        notes: '',
+        firstReportId: 'reportA',
+        sources: [{ reportId: 'reportA', date: '2024-05-01', preacherId: 'preacherA', categoryId: null }],
+        history: [{ type: 'created', by: 'preacherA', at: '2024-05-01T10:00:00.000Z', reportId: 'reportA' }]
+    }
+};
+
+// A history entry as firebase-contacts.js writes it
+function historyEntry(type, by, details = {}) {
+    return { type, by, at: new Date().toISOString(), ...details };
+}
+
+describe('Firestore rules', () => {
+    let testEnv;
+    const getTestEnv = () => testEnv;
+
+    before(async () => {
+        testEnv = await createTestEnvironment();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seedFirestore(testEnv, DOCUMENTS);
+    });
+
+    after(async () => {
+        await testEnv?.cleanup();
+    });
+
+    describe('activity reports', () => {
+        checkActors(getTestEnv, 'read a report', ACTIVE_USERS, context =>
+            getDoc(doc(context.firestore(), 'activityReports/reportA')));
+
+        checkActors(getTestEnv, 'submit a report of their own', ACTIVE_USERS, (context, actor) =>
+            setDoc(doc(context.firestore(), 'activityReports', `new_${actor}`), {
+                createdBy: actor,
+                temple: USERS[actor]?.temple ?? null,
+                date: '2024-05-02'
+            }));
+
+        checkActors(getTestEnv, 'edit a temple A preacher\'s report', ['preacherA', 'coordinatorA', ...ADMINS], context =>
+            updateDoc(doc(context.firestore(), 'activityReports/reportA'), { notes: 'changed' }));
+
+        checkActors(getTestEnv, 'edit a temple B preacher\'s report', ['preacherB', ...ADMINS], context =>
+            updateDoc(doc(context.firestore(), 'activityReports/reportB'), { notes: 'changed' }));
+
+        checkActors(getTestEnv, 'delete a temple A preacher\'s report', ['preacherA', 'coordinatorA', ...ADMINS], context =>
+            deleteDoc(doc(context.firestore(), 'activityReports/reportA')));
+
+        checkActors(getTestEnv, 'delete a temple B preacher\'s report', ['preacherB', ...ADMINS], context =>
+            deleteDoc(doc(context.firestore(), 'activityReports/reportB')));
+
+        checkActors(getTestEnv, 'change the author of a report', [], context =>
+            updateDoc(doc(context.firestore(), 'activityReports/reportA'), { createdBy: 'someoneElse' }));
+
+        checkActors(getTestEnv, 'import a temple A report for another preacher', ['coordinatorA', ...ADMINS], (context, actor) =>
+            setDoc(doc(context.firestore(), 'activityReports', `imported_${actor}`), {
+                createdBy: 'formerPreacher',
+                temple: 'Temple A',
+                date: '2023-01-01',
+                importedBy: actor
+            }));
+
+        checkActors(getTestEnv, 'import a temple B report for another preacher', ADMINS, (context, actor) =>
+            setDoc(doc(context.firestore(), 'activityReports', `imported_${actor}`), {
+                createdBy: 'formerPreacher',
+                temple: 'Temple B',
+                date: '2023-01-01',
+                importedBy: actor
+            }));
+    });
+
+    describe('impact aggregates', () => {
+        checkActors(getTestEnv, 'read the homepage totals', ACTORS, context =>
+            getDoc(doc(context.firestore(), 'impactAggregates/totals')));
+
+        // Only the rollUpActivityReport function moves the counters
+        checkActors(getTestEnv, 'change the homepage totals', ADMINS, context =>
+            updateDoc(doc(context.firestore(), 'impactAggregates/totals'), { reports: 1000000, updatedAt: serverTimestamp() }));
+
+        checkActors(getTestEnv, 'add an aggregate', ADMINS, context =>
+            setDoc(doc(context.firestore(), 'impactAggregates/temple_Temple%20C'), {
+                scope: 'temple',
+                key: 'Temple C',
+                reports: 1,
+                books: 0,
+                prasadam: 0,
+                livesTouched: 0,
+                contacts: 0,
+                updatedAt: serverTimestamp()
+            }));
+    });
+
+    describe('targets', () => {
+        checkActors(getTestEnv, 'add a temple A target', ['coordinatorA', ...ADMINS], context =>
+            setDoc(doc(context.firestore(), 'targets/newTarget'), { temple: 'Temple A', metric: 'books', goal: 50 }));
+
+        checkActors(getTestEnv, 'add a temple B target', ADMINS, context =>
+            setDoc(doc(context.firestore(), 'targets/newTarget'), { temple: 'Temple B', metric: 'books', goal: 50 }));
+
+        checkActors(getTestEnv, 'edit a temple A target', ['coordinatorA', ...ADMINS], context =>
+            updateDoc(doc(context.firestore(), 'targets/targetA'), { goal: 200 }));
+
+        checkActors(getTestEnv, 'move a temple A target to temple B', ADMINS, context =>
+            updateDoc(doc(context.firestore(), 'targets/targetA'), { temple: 'Temple B' }));
+
+        checkActors(getTestEnv, 'delete a temple B target', ADMINS, context =>
+            deleteDoc(doc(context.firestore(), 'targets/targetB')));
+    });
+
+    describe('gallery images', () => {
+        checkActors(getTestEnv, 'upload a pending image', ACTIVE_USERS, (context, actor) =>
+            setDoc(doc(context.firestore(), 'galleryImages', `new_${actor}`), {
+                uploadedBy: actor,
+                temple: USERS[actor]?.temple ?? null,
+                status: 'pending',
+                title: 'Kirtan',
+                albumId: null
+            }));
+
+        checkActors(getTestEnv, 'upload an image that is already approved', ['coordinatorA', ...ADMINS], (context, actor) =>
+            setDoc(doc(context.firestore(), 'galleryImages', `new_${actor}`), {
+                uploadedBy: actor,
+                temple: USERS[actor]?.temple ?? null,
+                status: 'approved',
+                title: 'Kirtan',
+                albumId: null
+            }));
+
+        checkActors(getTestEnv, 'edit the description of a pending temple A image', ['preacherA'], context =>
+            updateDoc(doc(context.firestore(), 'galleryImages/imageA'), { description: 'Sunday feast' }));
+
+        checkActors(getTestEnv, 'approve a temple A image', ['coordinatorA', ...ADMINS], (context, actor) =>
+            updateDoc(doc(context.firestore(), 'galleryImages/imageA'), {
+                status: 'approved',
+                moderatedBy: actor,
+                moderatedAt: serverTimestamp()
+            }));
+
+        checkActors(getTestEnv, 'approve a temple B image', ADMINS, (context, actor) =>
+            updateDoc(doc(context.firestore(), 'galleryImages/imageB'), {
+                status: 'approved',
+                moderatedBy: actor,
+                moderatedAt: serverTimestamp()
+            }));
+
+        checkActors(getTestEnv, 'move a temple A image to the trash', ['preacherA', ...ADMINS], (context, actor) =>
+            updateDoc(doc(context.firestore(), 'galleryImages/imageA'), {
+                status: 'deleted',
+                statusBeforeDelete: 'pending',
+                deletedAt: serverTimestamp(),
+                deletedBy: actor
+            }));
+
+        // What deleteAlbum in firebase-data.js reads and writes
+        checkActors(getTestEnv, 'list every image in a temple A preacher\'s album', ['preacherA', 'coordinatorA', 'preacherB', ...ADMINS], context =>
+            getDocs(query(collection(context.firestore(), 'galleryImages'), where('albumId', '==', 'albumA'))));
+
+        checkActors(getTestEnv, 'take a pending image out of a temple A preacher\'s album', ['preacherA', 'coordinatorA', 'preacherB', ...ADMINS], context =>
+            updateDoc(doc(context.firestore(), 'galleryImages/imageInAlbumA'), { albumId: null }));
+
+        it('does not let an uploader edit their image once it is approved', async () => {
+            await testEnv.withSecurityRulesDisabled(context =>
+                updateDoc(doc(context.firestore(), 'galleryImages/imageA'), { status: 'approved' }));
+            const db = contextFor(testEnv, 'preacherA').firestore();
+            await assertFails(updateDoc(doc(db, 'galleryImages/imageA'), { title: 'Changed' }));
+        });
+    });
+
+    describe('categories and resources', () => {
+        checkActors(getTestEnv, 'add an activity category', ['superAdmin'], context =>
+            setDoc(doc(context.firestore(), 'preachingCategories/streetStall'), { name: 'Street Stall', color: '#33AA55' }));
+
+        checkActors(getTestEnv, 'give a category a color that is not #RRGGBB', [], context =>
+            updateDoc(doc(context.firestore(), 'preachingCategories/bookTable'), { color: 'red; background-image: url(x)' }));
+
+        checkActors(getTestEnv, 'upload a resource', ADMINS, (context, actor) =>
+            setDoc(doc(context.firestore(), 'preachingResources/newResource'), { title: 'Japa guide', uploadedBy: actor }));
+
+        checkActors(getTestEnv, 'add one to a resource\'s download counter', ACTORS, context =>
+            updateDoc(doc(context.firestore(), 'preachingResources/resource1'), {
+                downloads: 1,
+                lastDownloaded: serverTimestamp()
+            }));
+
+        // What incrementDownloadCount in firebase-data.js writes
+        function recordDownload(db, temple) {
+            const batch = writeBatch(db);
+            batch.update(doc(db, 'preachingResources/resource1'), {
+                downloads: increment(1),
+                lastDownloaded: new Date().toISOString()
+            });
+            batch.set(doc(collection(db, 'resourceDownloads')), {
+                resourceId: 'resource1',
+                temple,
+                day: '2024-05-01',
+                createdAt: serverTimestamp()
+            });
+            return batch.commit();
+        }
+
+        // Downloads are tagged with the user's own temple, or none when signed out
+        checkActors(getTestEnv, 'record a download under temple A', ['preacherA', 'coordinatorA'], context =>
+            recordDownload(context.firestore(), 'Temple A'));
+
+        checkActors(getTestEnv, 'record a download under temple B', ['preacherB'], context =>
+            recordDownload(context.firestore(), 'Temple B'));
+
+        checkActors(getTestEnv, 'record a download with no temple', ['admin', 'superAdmin', 'deactivated', 'anonymous', 'signedOut'], context =>
+            recordDownload(context.firestore(), null));
+
+        checkActors(getTestEnv, 'add two to a resource\'s download counter', ADMINS, context =>
+            updateDoc(doc(context.firestore(), 'preachingResources/resource1'), {
+                downloads: 2,
+                lastDownloaded: serverTimestamp()
+            }));
+    });
+
+    describe('contact follow-ups', () => {
+        const CONTACT = 'contacts/+60123456789';
+
+        checkActors(getTestEnv, 'change the status of a contact assigned to a temple A preacher', ['preacherA', 'coordinatorA', ...ADMINS], (context, actor) =>
+            updateDoc(doc(context.firestore(), CONTACT), {
+                status: 'called',
+                history: arrayUnion(historyEntry('status_changed', actor, { status: 'called' })),
+                updatedAt: serverTimestamp()
+            }));
+
+        checkActors(getTestEnv, 'change a contact\'s status without recording it', [], context =>
+            updateDoc(doc(context.firestore(), CONTACT), { status: 'called', updatedAt: serverTimestamp() }));
+
+        checkActors(getTestEnv, 'correct a contact\'s phone number', ADMINS, (context, actor) =>
+            updateDoc(doc(context.firestore(), CONTACT), {
+                phone: '019-999 9999',
+                history: arrayUnion(historyEntry('note', actor, { note: 'New number' })),
+                updatedAt: serverTimestamp()
+            }));
+
+        checkActors(getTestEnv, 'rewrite a contact\'s history', [], (context, actor) =>
+            updateDoc(doc(context.firestore(), CONTACT), {
+                history: [historyEntry('created', actor, { reportId: 'reportA' })],
+                updatedAt: serverTimestamp()
+            }));
+
+        checkActors(getTestEnv, 'record meeting a contact again on a temple B report', ['preacherB', ...ADMINS], (context, actor) =>
+            updateDoc(doc(context.firestore(), CONTACT), {
+                sources: arrayUnion({ reportId: 'reportB', date: '2024-05-01', preacherId: 'preacherB', categoryId: null }),
+                history: arrayUnion(historyEntry('seen_again', actor, { reportId: 'reportB' })),
+                lastSeenDate: '2024-05-01',
+                updatedAt: serverTimestamp()
+            }));
+
+        checkActors(getTestEnv, 'add a contact met on a temple A preacher\'s report', ['preacherA', 'coordinatorA', ...ADMINS], (context, actor) =>
+            setDoc(doc(context.firestore(), 'contacts/+60111111111'), {
+                name: 'Govinda',
+                phone: '011-1111 111',
+                temple: 'Temple A',
+                status: 'new',
+                assignedTo: 'preacherA',
+                notes: '',
+                firstReportId: 'reportA',
+                sources: [{ reportId: 'reportA', date: '2024-05-01', preacherId: 'preacherA', categoryId: null }],
+                history: [historyEntry('created', actor, { reportId: 'reportA' })],
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            }));
+
+        checkActors(getTestEnv, 'delete a contact', ADMINS, context =>
+            deleteDoc(doc(context.firestore(), CONTACT)));
+    });
+
+    describe('users and roles', () => {
+        checkActors(getTestEnv, 'make a preacher a temple coordinator', ADMINS, context =>
+            updateDoc(doc(context.firestore(), 'users/preacherB'), { role: 'temple_coordinator', temple: 'Temple B' }));
+
+        checkActors(getTestEnv, 'make a preacher an admin', ['superAdmin'], context =>
+            updateDoc(doc(context.firestore(), 'users/preacherB'), { role: 'admin' }));
+
+        checkActors(getTestEnv, 'deactivate a preacher', ADMINS, (context, actor) =>
+            updateDoc(doc(context.firestore(), 'users/preacherA'), {
+                disabled: true,
+                disabledAt: serverTimestamp(),
+                disabledBy: actor
+            }));
+
+        checkActors(getTestEnv, 'change their own temple', ['superAdmin'], (context, actor) =>
+            updateDoc(doc(context.firestore(), 'users', actor), { temple: 'Temple C' }));
+
+        checkActors(getTestEnv, 'read the audit log', ADMINS, context =>
+            getDocs(collection(context.firestore(), 'auditLog')));
+
+        checkActors(getTestEnv, 'read Contact Us messages', ADMINS, context =>
+            getDoc(doc(context.firestore(), 'contactMessages/message1')));
+    });
+
+    describe('Contact Us form', () => {
+        // What submitContactMessage in firebase-messages.js writes
+        function sendMessage(db, clientId) {
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'contactRateLimits', clientId), {
+                windowStart: serverTimestamp(),
+                count: 1,
+                lastSentAt: serverTimestamp()
+            });
+            batch.set(doc(collection(db, 'contactMessages')), {
+                name: 'Visitor',
+                email: 'visitor@example.com',
+                subject: 'Sunday feast',
+                message: 'What time does it start?',
+                wantsUpdates: false,
+                clientId,
+                status: 'new',
+                assignedTo: null,
+                history: [],
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+            return batch.commit();
+        }
+
+        it('lets an anonymous visitor send a message counted under their own uid', async () => {
+            const db = contextFor(testEnv, 'anonymous').firestore();
+            await assertSucceeds(sendMessage(db, 'anonymousVisitor'));
+        });
+
+        it('refuses a message counted under another uid', async () => {
+            const db = contextFor(testEnv, 'anonymous').firestore();
+            await assertFails(sendMessage(db, 'someoneElse'));
+        });
+
+        it('refuses a message without an account', async () => {
+            const db = contextFor(testEnv, 'signedOut').firestore();
+            await assertFails(sendMessage(db, 'anonymousVisitor'));
+        });
+    });
+});
@@ -0,0 +1,101 @@
+// Shared set-up for the rules tests, which run against the Firestore and
+// Storage emulators (see "Rules tests" in README.md).
+//
+// Every check is tried as each kind of user in ACTORS, and the test states
+// which of them may do it. This mirrors the permission matrix in roles.js.
+import { readFileSync } from 'fs';
+import {
+    initializeTestEnvironment,
+    assertFails,
+    assertSucceeds
+} from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+export const PROJECT_ID = 'demo-preachers-portal';
+
+// Signed-in users, keyed by uid, with their `users` documents
+export const USERS = {
+    preacherA: { role: 'preacher', temple: 'Temple A' },
+    coordinatorA: { role: 'temple_coordinator', temple: 'Temple A' },
+    preacherB: { role: 'preacher', temple: 'Temple B' },
+    admin: { role: 'admin', temple: null },
+    superAdmin: { role: 'super_admin', temple: null },
+    // Keeps the role of a temple A coordinator, but may no longer do anything
+    deactivated: { role: 'temple_coordinator', temple: 'Temple A', disabled: true }
+};
+
+// Everyone a check is tried as. `anonymous` is a Contact Us visitor, signed
+// in anonymously; `signedOut` has no account at all.
+export const ACTORS = [...Object.keys(USERS), 'anonymous', 'signedOut'];
+
+// Users with an account in good standing, who may do what every user may
+export const ACTIVE_USERS = ['preacherA', 'coordinatorA', 'preacherB', 'admin', 'superAdmin'];
+
+const EMULATOR_HOST = '127.0.0.1';
+
+function readRules(file) {
+    return readFileSync(new URL(`../../${file}`, import.meta.url), 'utf8');
+}
+
+// Start a test environment on the emulators configured in firebase.json
+export function createTestEnvironment() {
+    return initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: {
+            rules: readRules('UPDATED-FIRESTORE-RULES-WITH-RESOURCES.txt'),
+            host: EMULATOR_HOST,
+            port: 8080
+        },
+        storage: {
+            rules: readRules('UPDATED-FIREBASE-STORAGE-RULES.txt'),
+            host: EMULATOR_HOST,
+            port: 9199
+        }
+    });
+}
+
+// Test context for one of ACTORS
+export function contextFor(testEnv, actor) {
+    if (actor === 'signedOut') {
+        return testEnv.unauthenticatedContext();
+    }
+    if (actor === 'anonymous') {
+        return testEnv.authenticatedContext('anonymousVisitor', {
+            firebase: { sign_in_provider: 'anonymous' }
+        });
+    }
+    return testEnv.authenticatedContext(actor, {
+        email: `${actor.toLowerCase()}@example.com`,
+        email_verified: true,
+        firebase: { sign_in_provider: 'password' }
+    });
+}
+
+// Write the users and the given documents ({ path: data }) with the rules off
+export async function seedFirestore(testEnv, documents = {}) {
+    await testEnv.withSecurityRulesDisabled(async context => {
+        const db = context.firestore();
+        await Promise.all([
+            ...Object.entries(USERS).map(([uid, user]) => setDoc(doc(db, 'users', uid), {
+                email: `${uid.toLowerCase()}@example.com`,
+                ...user
+            })),
+            ...Object.entries(documents).map(([path, data]) => setDoc(doc(db, path), data))
+        ]);
+    });
+}
+
+// Try one action as every actor. allowed lists the actors it must succeed
+// for; it must be refused for everyone else. run(context, actor) returns the
+// promise of the write or read being checked.
+export function checkActors(getTestEnv, name, allowed, run) {
+    describe(name, () => {
+        ACTORS.forEach(actor => {
+            const isAllowed = allowed.includes(actor);
+            it(`${isAllowed ? 'allows' : 'refuses'} ${actor}`, async () => {
+                const context = contextFor(getTestEnv(), actor);
+                await (isAllowed ? assertSucceeds : assertFails)(run(context, actor));
+            });
+        });
+    });
+}
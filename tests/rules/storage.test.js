@@ -0,0 +1,67 @@
+// Storage rules: uploads and deletes by each kind of user. The rules read
+// the user's role from Firestore, so the users are seeded there first.
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    ACTIVE_USERS,
+    checkActors,
+    contextFor,
+    createTestEnvironment,
+    seedFirestore
+} from './helpers.js';
+
+const ADMINS = ['admin', 'superAdmin'];
+const IMAGE = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+
+// Upload a small file with the given metadata, as a promise
+function upload(context, path, contentType, uploadedBy) {
+    return context.storage().ref(path).put(IMAGE, {
+        contentType,
+        customMetadata: { uploadedBy }
+    }).then(snapshot => snapshot);
+}
+
+describe('Storage rules', () => {
+    let testEnv;
+    const getTestEnv = () => testEnv;
+
+    before(async () => {
+        testEnv = await createTestEnvironment();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.clearStorage();
+        await seedFirestore(testEnv);
+        await testEnv.withSecurityRulesDisabled(context =>
+            upload(context, 'gallery/preacherA-photo.jpg', 'image/jpeg', 'preacherA'));
+    });
+
+    after(async () => {
+        await testEnv?.cleanup();
+    });
+
+    checkActors(getTestEnv, 'upload a gallery photo as themselves', ACTIVE_USERS, (context, actor) =>
+        upload(context, `gallery/${actor}-new.jpg`, 'image/jpeg', actor));
+
+    checkActors(getTestEnv, 'upload a gallery photo in someone else\'s name', [], context =>
+        upload(context, 'gallery/forged.jpg', 'image/jpeg', 'preacherB'));
+
+    checkActors(getTestEnv, 'delete a temple A preacher\'s gallery photo', ['preacherA', ...ADMINS], context =>
+        context.storage().ref('gallery/preacherA-photo.jpg').delete());
+
+    checkActors(getTestEnv, 'upload a resource', ADMINS, (context, actor) =>
+        upload(context, 'resources/guide.pdf', 'application/pdf', actor));
+
+    checkActors(getTestEnv, 'upload a photo to a temple A preacher\'s report', ['preacherA', ...ADMINS], (context, actor) =>
+        upload(context, 'activity-reports/preacherA/reportA/photo.jpg', 'image/jpeg', actor));
+
+    it('refuses files that are not images in the gallery', async () => {
+        const context = contextFor(testEnv, 'preacherA');
+        await assertFails(upload(context, 'gallery/notes.pdf', 'application/pdf', 'preacherA'));
+    });
+
+    it('lets anyone download gallery photos', async () => {
+        const context = contextFor(testEnv, 'signedOut');
+        await assertSucceeds(context.storage().ref('gallery/preacherA-photo.jpg').getDownloadURL());
+    });
+});
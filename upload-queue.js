@@ -0,0 +1,246 @@
+// Queue for uploading many files at once, used by the gallery.
+//
+// Files are uploaded a couple at a time. Each one reports its own progress and
+// can be paused, resumed or cancelled. A failed upload is retried
+// automatically, waiting longer after each attempt, before it is marked failed.
+//
+// Item statuses:
+//   queued -> resizing -> uploading -> saving -> done
+//   paused     - stopped by the user until resumed
+//   retrying   - waiting to try again after a failed attempt
+//   failed     - gave up after UPLOAD_MAX_ATTEMPTS attempts (can be retried by hand)
+//   cancelled  - stopped by the user
+
+export const UPLOAD_CONCURRENCY = 2;
+export const UPLOAD_MAX_ATTEMPTS = 4;
+
+// Delay before the first retry; doubled after each further failure
+const RETRY_BASE_DELAY = 2000;
+
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+export class UploadQueue {
+    // upload(item, callbacks) uploads item.file and resolves when it is saved.
+    // callbacks: { onStage(stage), onProgress(fraction), onTask(uploadTask) }
+    // onChange(items) runs whenever an item changes; onComplete(summary) runs
+    // once every item has finished.
+    constructor(upload, { onChange, onComplete, concurrency = UPLOAD_CONCURRENCY, maxAttempts = UPLOAD_MAX_ATTEMPTS } = {}) {
+        this.upload = upload;
+        this.onChange = onChange || (() => {});
+        this.onComplete = onComplete || (() => {});
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.items = [];
+        this.active = 0;
+        this.nextId = 1;
+    }
+
+    // Queue files; data is kept on each item for the upload function
+    add(files, data = {}) {
+        const added = Array.from(files).map(file => ({
+            id: this.nextId++,
+            file,
+            name: file.name,
+            data,
+            status: 'queued',
+            stage: null,
+            progress: 0,
+            attempts: 0,
+            error: null,
+            paused: false,
+            task: null,
+            stopWaiting: null,
+            resumeWaiter: null
+        }));
+        this.items.push(...added);
+        this.changed();
+        this.pump();
+        return added;
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    isBusy() {
+        return this.items.some(item => !FINISHED_STATUSES.includes(item.status));
+    }
+
+    pause(id) {
+        const item = this.get(id);
+        if (!item || FINISHED_STATUSES.includes(item.status) || item.status === 'saving') {
+            return;
+        }
+        item.paused = true;
+        item.task?.pause();
+        item.status = 'paused';
+        this.changed();
+    }
+
+    resume(id) {
+        const item = this.get(id);
+        if (!item || !item.paused) {
+            return;
+        }
+        item.paused = false;
+        item.task?.resume();
+        // Not started yet: back in the queue. Otherwise carry on where it was.
+        item.status = item.attempts === 0 ? 'queued' : (item.stage || 'uploading');
+        item.resumeWaiter?.();
+        this.changed();
+        this.pump();
+    }
+
+    cancel(id) {
+        const item = this.get(id);
+        if (!item || FINISHED_STATUSES.includes(item.status) || item.status === 'saving') {
+            return;
+        }
+        item.status = 'cancelled';
+        item.paused = false;
+        item.task?.cancel();
+        item.stopWaiting?.();
+        item.resumeWaiter?.();
+        this.changed();
+        this.pump();
+    }
+
+    // Try a failed or cancelled file again from the start
+    retry(id) {
+        const item = this.get(id);
+        if (!item || !['failed', 'cancelled'].includes(item.status)) {
+            return;
+        }
+        Object.assign(item, { status: 'queued', stage: null, progress: 0, attempts: 0, error: null, paused: false, task: null });
+        this.changed();
+        this.pump();
+    }
+
+    retryFailed() {
+        this.items.filter(item => item.status === 'failed').forEach(item => this.retry(item.id));
+    }
+
+    // Drop finished files from the list
+    clearFinished() {
+        this.items = this.items.filter(item => !FINISHED_STATUSES.includes(item.status));
+        this.changed();
+    }
+
+    getSummary() {
+        return {
+            done: this.items.filter(item => item.status === 'done'),
+            failed: this.items.filter(item => item.status === 'failed'),
+            cancelled: this.items.filter(item => item.status === 'cancelled')
+        };
+    }
+
+    changed() {
+        this.onChange(this.items);
+    }
+
+    // Start queued files while there are free slots
+    pump() {
+        while (this.active < this.concurrency) {
+            const next = this.items.find(item => item.status === 'queued' && !item.paused);
+            if (!next) {
+                break;
+            }
+            this.active++;
+            this.run(next).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+
+        if (this.active === 0 && this.items.length > 0 && !this.isBusy()) {
+            this.onComplete(this.getSummary());
+        }
+    }
+
+    async run(item) {
+        item.attempts++;
+        item.error = null;
+        item.stage = 'uploading';
+        item.status = 'uploading';
+        this.changed();
+
+        try {
+            await this.upload(item, {
+                onStage: stage => {
+                    item.stage = stage;
+                    if (!item.paused && item.status !== 'cancelled') {
+                        item.status = stage;
+                        this.changed();
+                    }
+                },
+                onProgress: progress => {
+                    item.progress = progress;
+                    this.changed();
+                },
+                onTask: task => {
+                    item.task = task;
+                    // Paused or cancelled while the image was still being resized
+                    if (item.status === 'cancelled') {
+                        task.cancel();
+                    } else if (item.paused) {
+                        task.pause();
+                    }
+                }
+            });
+            // Once saved the image exists, even if cancel was pressed at the last moment
+            Object.assign(item, { status: 'done', progress: 1, paused: false, task: null });
+            this.changed();
+        } catch (error) {
+            item.task = null;
+            if (item.status === 'cancelled') {
+                return;
+            }
+            console.error(`Upload attempt ${item.attempts} failed for ${item.name}:`, error);
+            item.error = error.message;
+
+            if (item.attempts >= this.maxAttempts) {
+                item.status = 'failed';
+                item.paused = false;
+                this.changed();
+                return;
+            }
+
+            const delay = RETRY_BASE_DELAY * 2 ** (item.attempts - 1);
+            if (!item.paused) {
+                item.status = 'retrying';
+            }
+            item.stage = 'retrying';
+            this.changed();
+            await this.sleep(item, delay);
+            if (item.paused) {
+                await this.waitForResume(item);
+            }
+            if (item.status !== 'cancelled') {
+                item.progress = 0;
+                await this.run(item);
+            }
+        }
+    }
+
+    // Wait before a retry; cancelling the file ends the wait early
+    sleep(item, delay) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            item.stopWaiting = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).finally(() => {
+            item.stopWaiting = null;
+        });
+    }
+
+    // Wait until a paused file is resumed or cancelled
+    waitForResume(item) {
+        return new Promise(resolve => {
+            item.resumeWaiter = resolve;
+        }).finally(() => {
+            item.resumeWaiter = null;
+        });
+    }
+}